@@ -0,0 +1,147 @@
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { handleApiRequest } from './lib/api.js';
+
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_PORT = 8787;
+const DEFAULT_DATA_PATH = path.join(__dirname, '../public/uniswap_data.json');
+
+const USAGE = `Usage: npm run api -- [options]
+
+Serves the fetcher's output over HTTP as JSON, reloading it whenever the
+fetcher rewrites it.
+
+  --port <n>       port to listen on (default API_PORT, or ${DEFAULT_PORT})
+  --data <file>    output file to serve (default public/uniswap_data.json)
+
+Endpoints (GET or HEAD; responses carry an ETag for If-None-Match):
+  /api/health                    status and lastUpdated of the loaded data
+  /api/chains                    chains with their run status and pool count
+  /api/chains/:chain/pools       pool metadata; ?version= &hook= &pair=
+  /api/pools/:id/series          one pool's series; ?metric=volume|fees|
+                                 trades|tvl|feeApr|price &granularity=day|
+                                 week|month &from= &to= (YYYY-MM-DD) &chain=
+  /api/summary                   volume, fees and swaps per chain; ?chain=
+                                 &from= &to= &version= &hook= &pair=
+  /api/data                      the whole output file, as the dashboard reads it
+`;
+
+function parseArgs(argv) {
+    const args = {
+        port: Number(process.env.API_PORT ?? DEFAULT_PORT),
+        data: DEFAULT_DATA_PATH,
+    };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--port') args.port = Number(argv[++i]);
+        else if (arg === '--data') args.data = path.resolve(argv[++i] ?? '');
+        else throw new Error(`Unknown option ${arg}`);
+    }
+    if (!Number.isInteger(args.port) || args.port < 1 || args.port > 65535) {
+        throw new Error('--port expects a port number from 1 to 65535');
+    }
+    return args;
+}
+
+// The output file as last read, re-read when its modification time changes.
+// A file that fails to parse (e.g. mid-write) keeps the previous data.
+function createDataLoader(file) {
+    let loaded = { mtimeMs: null, data: null };
+
+    return () => {
+        let mtimeMs;
+        try {
+            mtimeMs = fs.statSync(file).mtimeMs;
+        } catch {
+            return loaded.data;
+        }
+        if (mtimeMs === loaded.mtimeMs) return loaded.data;
+
+        try {
+            loaded = { mtimeMs, data: JSON.parse(fs.readFileSync(file, 'utf8')) };
+            console.log(`📂 Loaded ${file} (lastUpdated ${loaded.data.lastUpdated})`);
+        } catch (error) {
+            console.error(`❌ ${file} could not be read, keeping the previous data: ${error.message}`);
+        }
+        return loaded.data;
+    };
+}
+
+function send(req, res, status, body) {
+    const json = JSON.stringify(body);
+    const etag = `"${crypto.createHash('sha1').update(json).digest('base64url')}"`;
+    const headers = {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Access-Control-Allow-Origin': '*',
+        'Cache-Control': 'no-cache',
+        ETag: etag,
+    };
+
+    if (status === 200 && req.headers['if-none-match'] === etag) {
+        res.writeHead(304, headers);
+        res.end();
+        return;
+    }
+    res.writeHead(status, headers);
+    res.end(json);
+}
+
+function main() {
+    const argv = process.argv.slice(2);
+    if (argv.includes('--help') || argv.includes('-h')) {
+        console.log(USAGE);
+        process.exit(0);
+    }
+
+    let args;
+    try {
+        args = parseArgs(argv);
+    } catch (error) {
+        console.error(`❌ ${error.message}\n`);
+        console.error(USAGE);
+        process.exit(1);
+    }
+
+    const loadData = createDataLoader(args.data);
+    if (!loadData()) {
+        console.warn(`⚠️  ${args.data} not found; endpoints answer 503 until the fetcher writes it`);
+    }
+
+    const server = http.createServer((req, res) => {
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, {
+                'Access-Control-Allow-Origin': '*',
+                'Access-Control-Allow-Methods': 'GET, HEAD, OPTIONS',
+                'Access-Control-Allow-Headers': 'If-None-Match',
+            });
+            res.end();
+            return;
+        }
+        // Node leaves the body out of HEAD responses
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            send(req, res, 405, { error: `${req.method} is not supported` });
+            return;
+        }
+
+        try {
+            send(req, res, 200, handleApiRequest(loadData(), req.url));
+        } catch (error) {
+            if (!error.status) console.error(`❌ ${req.url}: ${error.stack}`);
+            send(req, res, error.status ?? 500, { error: error.status ? error.message : 'Internal error' });
+        }
+    });
+
+    server.listen(args.port, () => {
+        console.log(`🚀 API on http://localhost:${args.port}/api (serving ${args.data})`);
+    });
+}
+
+main();
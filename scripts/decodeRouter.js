@@ -0,0 +1,49 @@
+import fs from 'fs';
+import { decodeExecute } from './lib/universalRouter.js';
+
+const USAGE = `Usage: npm run decode-router -- <calldata | tx.json | ->
+
+Decodes a Universal Router execute() call into JSON, one step per command.
+
+  <calldata>  raw calldata, 0x-prefixed hex
+  <tx.json>   a transaction JSON file (as returned by eth_getTransactionByHash
+              or a block explorer); its "input" or "data" field is decoded
+  -           read calldata or transaction JSON from stdin
+`;
+
+function readCalldata(arg) {
+    const text = arg === '-'
+        ? fs.readFileSync(0, 'utf8').trim()
+        : (fs.existsSync(arg) ? fs.readFileSync(arg, 'utf8').trim() : arg);
+
+    if (!text.startsWith('{')) {
+        return text;
+    }
+
+    const json = JSON.parse(text);
+    const tx = json.result ?? json;
+    const calldata = tx.input ?? tx.data;
+    if (!calldata) {
+        throw new Error('Transaction JSON has no "input" or "data" field');
+    }
+    return calldata;
+}
+
+function main() {
+    const arg = process.argv[2];
+
+    if (!arg || arg === '--help' || arg === '-h') {
+        console.log(USAGE);
+        process.exit(arg ? 0 : 1);
+    }
+
+    const decoded = decodeExecute(readCalldata(arg));
+    console.log(JSON.stringify(decoded, null, 2));
+}
+
+try {
+    main();
+} catch (err) {
+    console.error(`\nFatal error: ${err.message}`);
+    process.exit(1);
+}
@@ -1,218 +1,354 @@
 import fs from 'fs';
 import path from 'path';
 import dotenv from 'dotenv';
-import fetch from 'node-fetch';
 import { fileURLToPath } from 'url';
+import {
+    loadChainStore,
+    saveChainStore,
+    getPoolStore,
+    getRouteStore,
+    resumeTimestamp,
+    mergeDailyData,
+    storedDailyData,
+    dayKey,
+    weekKey,
+} from './lib/store.js';
+import { configuredChainNames, loadChains } from './lib/config.js';
+import { ConcurrencyLimiter, configureGraphRequests, graphRequest, graphRequestStats } from './lib/graph.js';
+import { PAGE_SIZE } from './lib/queries.js';
+import { discoverPools, DISCOVERY_DEFAULTS } from './lib/discovery.js';
+import { buildFeeResolver, isDynamicFee } from './lib/fees.js';
+import { createRpcSource } from './lib/rpcSource.js';
+import { addPathBreakdown, createPathClassifier, emptyPathBreakdown, loadRegistry } from './lib/paths.js';
+import { assembleRoutes, calculateRouteStats, markMissingPools, summarizeRoutes } from './lib/routes.js';
+import { DEFAULT_VERSION, SUBGRAPH_ADAPTERS } from './lib/versions.js';
+import { chainCsvs, dailyCsv } from './lib/csv.js';
+import { carryOver, loadPreviousOutput, loadSchema, OUTPUT_VERSION, validateOutput } from './lib/output.js';
+import { addTrade, emptyTradeStats, finalizeTradeStats, mergeTradeStats, summarizeTradeStats } from './lib/tradeStats.js';
+import { addSwapPrice, finalizeDayPrices, HOURLY_CANDLE_DAYS, mergeCandles } from './lib/prices.js';
+import { addTvlHistory, liquidityStats } from './lib/liquidity.js';
+import { addSwapActivity, detectAnomalies, emptySwapActivity, findRoundTrips, mergeSwapActivity } from './lib/anomalies.js';
+import { describeHooks, loadHookRegistry } from './lib/hooks.js';
+import {
+    addPricing,
+    createSwapPricer,
+    DEFAULT_STABLECOINS,
+    emptyPricingStats,
+    loadPriceTable,
+    mergePricingStats,
+    swapVolumeUSD,
+} from './lib/pricing.js';
 
 dotenv.config();
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const EIGHT_WEEKS_SECONDS = 60 * 60 * 24 * 7 * 8;
-const START_TIMESTAMP = Math.floor(Date.now() / 1000) - EIGHT_WEEKS_SECONDS;
-const MAX_CONCURRENT_BATCHES = 10;
+const WEEK_SECONDS = 60 * 60 * 24 * 7;
+const DEFAULT_BACKFILL_WEEKS = 8;
+const DEFAULT_CONCURRENCY = 10;
+const MAX_CONCURRENCY = 50;
+const OUTPUT_FORMATS = ['json', 'csv', 'csv-chains'];
+const SLICE_SECONDS = 60 * 60 * 24;
+const STORE_DIR = path.join(__dirname, '../data');
+const REFETCH_DAYS = 1;
+
+const CONFIG_PATH = path.join(__dirname, '../pools.config.json');
+
+const REGISTRY_PATH = path.join(__dirname, '../address-registry.json');
+const HOOK_REGISTRY_PATH = path.join(__dirname, '../hook-registry.json');
+const PRICE_TABLE_PATH = path.join(__dirname, '../token-prices.json');
+const OUTPUT_SCHEMA_PATH = path.join(__dirname, '../uniswap_data.schema.json');
+
+const USAGE = `Usage: npm run fetch-data -- [options]
+
+Fetches swaps for the pools in pools.config.json, updates the per-chain
+stores in data/ and writes the dashboard's data file.
+
+  --chains <A,B,...>     only these chains (names as in pools.config.json)
+  --pool <[CHAIN:]id>    only this configured pool; repeatable. Skips pool
+                         discovery, and route statistics are left as stored
+  --weeks <n>            history to backfill for pools with no stored data
+                         (default ${DEFAULT_BACKFILL_WEEKS})
+  --since <YYYY-MM-DD>   refetch the selected pools from this day (UTC),
+                         replacing their stored days; not with --weeks
+  --until <YYYY-MM-DD>   fetch up to the start of this day (UTC), not now
+  --concurrency <n>      day slices fetched in parallel per chain
+                         (default ${DEFAULT_CONCURRENCY}, at most ${MAX_CONCURRENCY})
+  --query-budget <n>     most subgraph queries to spend per API key in this
+                         run (default GRAPH_QUERY_BUDGET, or no limit)
+  --out <path>           output file (default public/uniswap_data.<format>),
+                         or directory for csv-chains (default public/csv)
+  --format <json|csv|csv-chains>
+                         dashboard JSON, a CSV row per pool and day, or a
+                         daily and a weekly CSV per chain
+  --dry-run              print the chains, pools and windows a run would
+                         fetch, without fetching or writing anything
+  --verbose              also log each pool's window, day slices and sources
+  --quiet                only log warnings and errors
+`;
 
-const CHAINS = Object.entries(process.env)
-    .filter(([k]) => k.startsWith('V4_SUBGRAPH_URL_'))
-    .map(([k, v]) => {
-        const name = k.replace('V4_SUBGRAPH_URL_', '');
-        return {
-            name,
-            url: v,
-            poolId: process.env[`${name}_POOL`],
-        };
-    })
-    .filter(c => c.poolId);
-
-const POOL_DETAILS_QUERY = `
-query PoolDetails($poolId: String!) {
-  pool(id: $poolId) {
-    id
-    token0 {
-      id
-      symbol
-      decimals
-    }
-    token1 {
-      id
-      symbol
-      decimals
-    }
-    feeTier
-    txCount
-    totalValueLockedUSD
-  }
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Dates are whole UTC days; the round trip rejects days like 2025-02-31
+function parseDate(value, flag) {
+    const timestamp = DATE_PATTERN.test(value ?? '') ? Date.parse(`${value}T00:00:00Z`) / 1000 : NaN;
+    if (!Number.isFinite(timestamp) || dayKey(timestamp) !== value) {
+        throw new Error(`${flag} expects a date as YYYY-MM-DD, got "${value ?? ''}"`);
+    }
+    return timestamp;
 }
-`;
 
-const POOL_SWAPS_QUERY = `
-query PoolSwaps($poolId: String!, $timestamp: Int!, $skip: Int!) {
-  swaps(
-    first: 1000
-    skip: $skip
-    orderBy: timestamp
-    orderDirection: asc
-    where: {
-      pool: $poolId
-      timestamp_gte: $timestamp
-    }
-  ) {
-    id
-    timestamp
-    amount0
-    amount1
-    amountUSD
-    pool {
-      id
-      feeTier
-      token0 {
-        decimals
-      }
-      token1 {
-        decimals
-      }
-    }
-  }
+function parseCount(value, flag, max = Infinity) {
+    const count = Number(value);
+    if (!Number.isInteger(count) || count < 1 || count > max) {
+        throw new Error(`${flag} expects a whole number from 1${max < Infinity ? ` to ${max}` : ''}, got "${value ?? ''}"`);
+    }
+    return count;
 }
-`;
 
-class ConcurrencyLimiter {
-    constructor(limit) {
-        this.limit = limit;
-        this.running = 0;
-        this.queue = [];
+function parsePoolSpec(value) {
+    const parts = (value ?? '').toLowerCase().split(':');
+    if (!parts.at(-1) || parts.length > 2) {
+        throw new Error(`--pool expects a pool id or CHAIN:POOL_ID, got "${value ?? ''}"`);
     }
+    return parts.length === 2 ? { chain: parts[0].toUpperCase(), id: parts[1] } : { chain: null, id: parts[0] };
+}
 
-    async run(fn) {
-        while (this.running >= this.limit) {
-            await new Promise(resolve => this.queue.push(resolve));
-        }
+function parseArgs(argv) {
+    const args = { chains: null, pools: [], format: 'json', dryRun: false, verbose: false, quiet: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--chains') args.chains = (argv[++i] ?? '').split(',').map(name => name.trim().toUpperCase()).filter(Boolean);
+        else if (arg === '--pool') args.pools.push(parsePoolSpec(argv[++i]));
+        else if (arg === '--weeks') args.weeks = parseCount(argv[++i], arg);
+        else if (arg === '--since') args.since = parseDate(argv[++i], arg);
+        else if (arg === '--until') args.until = parseDate(argv[++i], arg);
+        else if (arg === '--concurrency') args.concurrency = parseCount(argv[++i], arg, MAX_CONCURRENCY);
+        else if (arg === '--query-budget') args.queryBudget = parseCount(argv[++i], arg);
+        else if (arg === '--out') args.out = argv[++i] ?? '';
+        else if (arg === '--format') args.format = argv[++i];
+        else if (arg === '--dry-run') args.dryRun = true;
+        else if (arg === '--verbose') args.verbose = true;
+        else if (arg === '--quiet') args.quiet = true;
+        else throw new Error(`Unknown option ${arg}`);
+    }
 
-        this.running++;
-        try {
-            return await fn();
-        } finally {
-            this.running--;
-            const resolve = this.queue.shift();
-            if (resolve) resolve();
-        }
+    const now = Math.floor(Date.now() / 1000);
+    if (args.chains?.length === 0) {
+        throw new Error('--chains expects a comma-separated list of chain names');
     }
+    if (args.weeks !== undefined && args.since !== undefined) {
+        throw new Error('--since and --weeks both set the start of the window; pass one of them');
+    }
+    if (args.until > now) {
+        throw new Error('--until is in the future');
+    }
+    if (args.since >= (args.until ?? now)) {
+        throw new Error('--since must be before --until (or today)');
+    }
+    if (args.out !== undefined && (!args.out || args.out.startsWith('--'))) {
+        throw new Error('--out expects a file path');
+    }
+    if (!OUTPUT_FORMATS.includes(args.format)) {
+        throw new Error(`--format must be one of ${OUTPUT_FORMATS.join(', ')}`);
+    }
+    if (args.verbose && args.quiet) {
+        throw new Error('--verbose and --quiet cannot be combined');
+    }
+
+    return {
+        ...args,
+        weeks: args.weeks ?? DEFAULT_BACKFILL_WEEKS,
+        since: args.since ?? null,
+        until: args.until ?? null,
+        concurrency: args.concurrency ?? DEFAULT_CONCURRENCY,
+        queryBudget: args.queryBudget
+            ?? (process.env.GRAPH_QUERY_BUDGET ? parseCount(process.env.GRAPH_QUERY_BUDGET, 'GRAPH_QUERY_BUDGET') : null),
+        out: path.resolve(args.out ?? path.join(__dirname, args.format === 'csv-chains' ? '../public/csv' : `../public/uniswap_data.${args.format}`)),
+    };
 }
 
-async function graphRequest(url, query, variables, retries = 2) {
-    for (let i = 0; i <= retries; i++) {
-        try {
-            const res = await fetch(url, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ query, variables }),
-            });
-
-            const json = await res.json();
-            if (json.errors) {
-                const errorMsg = JSON.stringify(json.errors);
-                if (errorMsg.includes('bad indexers') && i < retries) {
-                    await new Promise(resolve => setTimeout(resolve, 3000));
-                    continue;
-                }
-                throw new Error(JSON.stringify(json.errors));
-            }
-            return json.data;
-        } catch (error) {
-            if (i === retries) throw error;
-            await new Promise(resolve => setTimeout(resolve, 2000));
-        }
+function exitWithUsage(message) {
+    console.error(`❌ ${message}\n`);
+    console.error(USAGE);
+    process.exit(1);
+}
+
+function readOptions(argv) {
+    if (argv.includes('--help') || argv.includes('-h')) {
+        console.log(USAGE);
+        process.exit(0);
+    }
+    try {
+        return parseArgs(argv);
+    } catch (error) {
+        exitWithUsage(error.message);
     }
 }
 
-async function fetchPoolDetails(chain) {
-    const data = await graphRequest(chain.url, POOL_DETAILS_QUERY, {
-        poolId: chain.poolId,
-    });
+// Narrows the configured chains to --chains and, with --pool, to the listed
+// pools. Pool-filtered chains skip discovery and are marked `partial`: their
+// route statistics are not rebuilt from a subset of their pools.
+function selectChains(chains, options) {
+    let selected = chains;
+    if (options.chains) {
+        const unknown = options.chains.filter(name => !chains.some(chain => chain.name === name));
+        if (unknown.length > 0) {
+            exitWithUsage(`--chains: ${unknown.join(', ')} not configured or without a reachable data source (available: ${chains.map(chain => chain.name).join(', ')})`);
+        }
+        selected = chains.filter(chain => options.chains.includes(chain.name));
+    }
+    if (options.pools.length === 0) {
+        return selected;
+    }
 
-    if (!data.pool) {
-        return null;
+    const matches = (chain, pool) => options.pools.some(spec => spec.id === pool.id && (!spec.chain || spec.chain === chain.name));
+    for (const spec of options.pools) {
+        if (!selected.some(chain => (!spec.chain || spec.chain === chain.name) && chain.pools.some(pool => pool.id === spec.id))) {
+            exitWithUsage(`--pool: ${spec.chain ? `${spec.chain}:` : ''}${spec.id} is not an enabled pool of ${options.chains ? 'the selected chains' : 'any chain'} in pools.config.json`);
+        }
     }
+    return selected
+        .map(chain => ({ ...chain, pools: chain.pools.filter(pool => matches(chain, pool)), discover: null, partial: true }))
+        .filter(chain => chain.pools.length > 0);
+}
 
-    return data.pool;
+const OPTIONS = readOptions(process.argv.slice(2));
+const NOW = Math.floor(Date.now() / 1000);
+// New pools are backfilled from START_TIMESTAMP; --since refetches every
+// selected pool from REFETCH_FROM instead of resuming at its high-water mark.
+const START_TIMESTAMP = NOW - OPTIONS.weeks * WEEK_SECONDS;
+const END_TIMESTAMP = OPTIONS.until ?? NOW;
+const REFETCH_FROM = OPTIONS.since;
+
+configureGraphRequests({ budget: OPTIONS.queryBudget });
+
+const FETCHABLE_CHAINS = loadChains(CONFIG_PATH);
+const CHAINS = selectChains(FETCHABLE_CHAINS, OPTIONS);
+const REGISTRY = loadRegistry(REGISTRY_PATH);
+const HOOK_REGISTRY = loadHookRegistry(HOOK_REGISTRY_PATH);
+const PRICE_TABLE = loadPriceTable(PRICE_TABLE_PATH);
+const OUTPUT_SCHEMA = loadSchema(OUTPUT_SCHEMA_PATH);
+
+// --quiet keeps warnings and errors only; --verbose adds per-pool detail
+function log(...args) {
+    if (!OPTIONS.quiet) console.log(...args);
 }
 
-async function fetchPoolSwapsSuperFast(chain, poolId) {
-    const limiter = new ConcurrencyLimiter(MAX_CONCURRENT_BATCHES);
+function debug(...args) {
+    if (OPTIONS.verbose) console.log(...args);
+}
 
-    const fetchBatch = async (skipValue) => {
-        try {
-            const data = await graphRequest(chain.url, POOL_SWAPS_QUERY, {
-                poolId,
-                timestamp: START_TIMESTAMP,
-                skip: skipValue,
-            });
-
-            if (!data.swaps || data.swaps.length === 0) {
-                return { swaps: [], hasMore: false };
-            }
+// `subgraph` is the endpoint and adapter of the pool's protocol version
+async function fetchPoolDetails(subgraph, poolId) {
+    const data = await graphRequest(subgraph.url, subgraph.detailsQuery, {
+        poolId,
+    });
 
-            return { swaps: data.swaps, hasMore: data.swaps.length === 1000 };
-        } catch (error) {
-            console.error(`   ⚠️  Batch at skip ${skipValue} failed:`, error.message);
-            return { swaps: [], hasMore: false };
+    return subgraph.pool(data);
+}
+
+async function fetchPoolTvl(subgraph, poolId, since) {
+    const history = [];
+    let lastDate = since - 1;
+
+    while (true) {
+        const data = await graphRequest(subgraph.url, subgraph.tvlQuery, { poolId, lastDate });
+        const page = data ? subgraph.tvl(data) : null;
+        if (!page) {
+            throw new Error('Malformed day data response');
         }
-    };
 
-    const first = await fetchBatch(0);
-    if (first.swaps.length === 0) {
-        return [];
+        history.push(...page);
+        if (page.length < PAGE_SIZE) {
+            return history;
+        }
+        lastDate = page[page.length - 1].date;
     }
+}
 
-    const allSwaps = [...first.swaps];
+async function fetchEthPrice(subgraph) {
+    const data = await graphRequest(subgraph.url, subgraph.ethPriceQuery);
+    return data ? subgraph.ethPrice(data) : null;
+}
 
-    if (!first.hasMore) {
-        return allSwaps;
+// graphRequest already retries what is worth retrying, so a page that fails
+// here fails its slice.
+async function fetchSwapPage(subgraph, poolId, from, to, lastId) {
+    let swaps;
+    try {
+        const data = await graphRequest(subgraph.url, subgraph.swapsQuery, {
+            poolId,
+            from,
+            to,
+            lastId,
+        });
+        swaps = data ? subgraph.swaps(data) : null;
+    } catch (error) {
+        throw new Error(`Page after ${lastId || 'start'} in [${from}, ${to}) failed: ${error.message}`);
     }
 
-    let skip = 1000;
-    let emptyCount = 0;
-
-    const CHUNK_SIZE = 50;
+    if (!swaps) {
+        throw new Error(`Page after ${lastId || 'start'} in [${from}, ${to}): malformed swaps response`);
+    }
+    return swaps;
+}
 
-    for (let chunk = 0; chunk < 10; chunk++) {
-        const chunkPromises = [];
+async function fetchSliceSwaps(chain, subgraph, poolId, from, to) {
+    const swaps = [];
+    let lastId = '';
 
-        for (let i = 0; i < CHUNK_SIZE; i++) {
-            const currentSkip = skip;
-            skip += 1000;
+    while (true) {
+        const page = await fetchSwapPage(subgraph, poolId, from, to, lastId);
+        swaps.push(...page);
 
-            chunkPromises.push(
-                limiter.run(() => fetchBatch(currentSkip))
-            );
+        if (page.length < PAGE_SIZE) {
+            debug(`   ${chain.name} ${poolId.slice(0, 10)}: ${swaps.length} swaps on ${dayKey(from)}`);
+            return swaps;
         }
+        lastId = page[page.length - 1].id;
+    }
+}
 
-        const results = await Promise.all(chunkPromises);
-
-        for (const result of results) {
-            if (result.swaps.length > 0) {
-                allSwaps.push(...result.swaps);
-                emptyCount = 0;
-            } else {
-                emptyCount++;
-            }
+async function fetchPoolSwaps(chain, subgraph, poolId, since, limiter) {
+    const slices = [];
+    for (let from = since; from < END_TIMESTAMP; from += SLICE_SECONDS) {
+        slices.push({ from, to: Math.min(from + SLICE_SECONDS, END_TIMESTAMP) });
+    }
 
-            if (emptyCount >= 5) {
-                return allSwaps;
+    const failedRanges = [];
+    const results = await Promise.all(slices.map(slice =>
+        limiter.run(async () => {
+            try {
+                return await fetchSliceSwaps(chain, subgraph, poolId, slice.from, slice.to);
+            } catch (error) {
+                console.error(`   ❌ ${chain.name}: swaps between ${new Date(slice.from * 1000).toISOString()} and ${new Date(slice.to * 1000).toISOString()} are missing: ${error.message}`);
+                failedRanges.push({ from: slice.from, to: slice.to, error: error.message });
+                return [];
             }
+        })
+    ));
 
-            if (!result.hasMore) {
-                return allSwaps;
-            }
+    const byId = new Map();
+    for (const swaps of results) {
+        for (const swap of swaps) {
+            byId.set(swap.id, swap);
         }
     }
 
-    return allSwaps;
+    return {
+        swaps: [...byId.values()].sort((a, b) => a.timestamp - b.timestamp),
+        complete: failedRanges.length === 0,
+        failedRanges: failedRanges.sort((a, b) => a.from - b.from),
+    };
 }
 
-function calculateVolumeAndFees(swaps) {
+// `classifyPath` is null for pools outside the V4 PoolManager, which have no
+// entry-path breakdown. `priceSwap` values swaps the subgraph left unpriced.
+function calculateVolumeAndFees(swaps, resolveFee, classifyPath, priceSwap) {
     const dailyData = {};
+    const legs = [];
 
     for (const swap of swaps) {
         const date = new Date(swap.timestamp * 1000);
@@ -220,157 +356,610 @@ function calculateVolumeAndFees(swaps) {
 
         if (!dailyData[dateKey]) {
             dailyData[dateKey] = {
-                timestamp: swap.timestamp,
+                timestamp: Number(swap.timestamp),
                 volume: 0,
                 fees: 0,
+                estimatedFees: 0,
+                ...(classifyPath && { byPath: emptyPathBreakdown() }),
+                trades: emptyTradeStats(),
+                pricing: emptyPricingStats(),
+                activity: emptySwapActivity(),
             };
         }
 
-        let volumeUSD = 0;
-        if (swap.amountUSD && swap.amountUSD !== '0') {
-            volumeUSD = Math.abs(parseFloat(swap.amountUSD));
-        } else {
+        const { usd: volumeUSD, source: fallbackSource } = swapVolumeUSD(swap, priceSwap);
+
+        addTrade(dailyData[dateKey].trades, swap, volumeUSD);
+        addSwapPrice(dailyData[dateKey], swap);
+        addPricing(dailyData[dateKey].pricing, volumeUSD, fallbackSource);
+        addSwapActivity(dailyData[dateKey].activity, swap, volumeUSD);
+        legs.push({ timestamp: Number(swap.timestamp), origin: swap.origin, buy: parseFloat(swap.amount0) < 0, volume: volumeUSD });
+        if (volumeUSD === 0) {
             continue;
         }
 
-        const feeRate = parseInt(swap.pool?.feeTier || '3000') / 1000000;
-        const feesUSD = volumeUSD * feeRate;
+        const { rate, exact } = resolveFee(swap);
+        const feesUSD = volumeUSD * rate;
 
         dailyData[dateKey].volume += volumeUSD;
         dailyData[dateKey].fees += feesUSD;
+        if (!exact) {
+            dailyData[dateKey].estimatedFees += feesUSD;
+        }
+
+        if (classifyPath) {
+            const byPath = dailyData[dateKey].byPath[classifyPath(swap)];
+            byPath.volume += volumeUSD;
+            byPath.fees += feesUSD;
+        }
     }
 
-    return Object.values(dailyData);
+    // A round trip counts on the day of its first leg
+    for (const { timestamp, volume } of findRoundTrips(legs)) {
+        const { activity } = dailyData[dayKey(timestamp)];
+        activity.roundTrips++;
+        activity.roundTripVolume += volume;
+    }
+
+    return Object.values(dailyData).map(day => finalizeDayPrices({ ...day, trades: finalizeTradeStats(day.trades) }));
 }
 
 function aggregateWeekly(dailyData) {
     const weekly = {};
+    const weekDays = {};
 
     for (const day of dailyData) {
-        const date = new Date(day.timestamp * 1000);
-        const dayOfWeek = date.getUTCDay();
-        const diff = (dayOfWeek === 0 ? -6 : 1) - dayOfWeek;
-        const monday = new Date(date);
-        monday.setUTCDate(date.getUTCDate() + diff);
-        monday.setUTCHours(0, 0, 0, 0);
-
-        const key = monday.toISOString().split('T')[0];
+        const key = weekKey(day.timestamp);
 
         if (!weekly[key]) {
-            weekly[key] = { date: key, volume: 0, fees: 0 };
+            weekly[key] = { date: key, volume: 0, fees: 0, estimatedFees: 0 };
+            weekDays[key] = [];
         }
+        weekDays[key].push(day);
 
         weekly[key].volume += day.volume;
         weekly[key].fees += day.fees;
+        weekly[key].estimatedFees += day.estimatedFees ?? 0;
+        if (day.byPath) {
+            weekly[key].byPath ??= emptyPathBreakdown();
+            addPathBreakdown(weekly[key].byPath, day.byPath);
+        }
+        // Days stored before trade stats existed have none
+        if (day.trades) {
+            weekly[key].trades ??= emptyTradeStats();
+            mergeTradeStats(weekly[key].trades, day.trades);
+        }
+        if (day.price) {
+            weekly[key].price = mergeCandles(weekly[key].price, day.price);
+        }
+        if (day.pricing) {
+            weekly[key].pricing ??= emptyPricingStats();
+            mergePricingStats(weekly[key].pricing, day.pricing);
+        }
+        if (day.activity) {
+            weekly[key].activity ??= emptySwapActivity();
+            mergeSwapActivity(weekly[key].activity, day.activity);
+        }
     }
 
-    return Object.values(weekly).sort((a, b) =>
-        a.date.localeCompare(b.date)
-    );
+    return Object.values(weekly)
+        .map(week => ({ ...week, trades: summarizeTradeStats(week.trades), ...liquidityStats(weekDays[week.date]) }))
+        .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// Stored days as output series entries, keyed by date like the weekly ones.
+// They keep the unique-trader sketch so the dashboard can merge days; hourly
+// candles go out separately (see hourlySeries).
+function dailySeries(dailyData) {
+    return dailyData.map(({ timestamp, trades, ...day }) => {
+        const entry = {
+            date: dayKey(timestamp),
+            ...day,
+            trades: summarizeTradeStats(trades, { keepSketch: true }),
+            ...liquidityStats([day]),
+        };
+        delete entry.hourly;
+        return entry;
+    });
+}
+
+function hourlySeries(dailyData) {
+    return dailyData.slice(-HOURLY_CANDLE_DAYS).flatMap(day => day.hourly ?? []);
 }
 
 function calculateTotalVolume(dailyData) {
     return dailyData.reduce((sum, day) => sum + day.volume, 0);
 }
 
+function totalPricing(dailyData) {
+    const pricing = emptyPricingStats();
+    dailyData.forEach(day => mergePricingStats(pricing, day.pricing));
+    return pricing;
+}
+
+// Configured pools plus, when the chain has a `discover` block, its top pools
+// from the subgraph. Pools found both ways keep their configured label.
+async function resolveChainPools(chain, progress) {
+    if (!chain.discover) {
+        return { pools: chain.pools, error: null };
+    }
+
+    let discovered;
+    try {
+        discovered = await discoverPools(chain, chain.discover);
+    } catch (error) {
+        console.error(`❌ ${chain.name}: pool discovery failed, using configured pools only: ${error.message}`);
+        return { pools: chain.pools, error: `Pool discovery failed: ${error.message}` };
+    }
+
+    const pools = chain.pools.map(pool => {
+        const match = discovered.find(d => d.id === pool.id);
+        return match ? { ...pool, discovery: match.discovery } : pool;
+    });
+    const added = discovered.filter(d => !chain.pools.some(pool => pool.id === d.id));
+
+    progress.total += added.length;
+    log(`🔎 ${chain.name}: discovered ${discovered.length} top pools by ${chain.discover.rankBy || DISCOVERY_DEFAULTS.rankBy} (${added.length} not in config)`);
+
+    return { pools: [...pools, ...added], error: null };
+}
+
+// Where a chain's pools and swaps of one protocol version come from: the
+// version's subgraph (default) or, for V4, PoolManager event logs over JSON-RPC.
+function createDataSource(chain, version) {
+    if (chain.source === 'rpc') {
+        return createRpcSource(chain, { until: END_TIMESTAMP });
+    }
+
+    const subgraph = {
+        url: version === DEFAULT_VERSION ? chain.url : chain.versionUrls[version],
+        ...SUBGRAPH_ADAPTERS[version],
+    };
+    let ethPrice = null;
+    return {
+        fetchPoolDetails: (poolId) => fetchPoolDetails(subgraph, poolId),
+        fetchPoolSwaps: (poolId, since, limiter) => fetchPoolSwaps(chain, subgraph, poolId, since, limiter),
+        fetchPoolTvl: (poolId, since) => fetchPoolTvl(subgraph, poolId, since),
+        // Fetched once per source, and only when some swap needs it
+        fetchEthPrice: () => (ethPrice ??= fetchEthPrice(subgraph)),
+        close: () => {},
+    };
+}
+
+function failedStatus(error, swapCount = 0, durationMs = 0) {
+    return { status: 'failed', error, swapCount, durationMs, window: null };
+}
+
+// Where a chain's route statistics are rebuilt from, and (below) where each of
+// its pools is fetched from: the stored high-water mark, or --since.
+function routeFetchStart(store) {
+    return REFETCH_FROM ?? resumeTimestamp(getRouteStore(store), START_TIMESTAMP, REFETCH_DAYS);
+}
+
+// Pools are fetched from no later than `routeSince`, so the chain's route
+// statistics can be rebuilt from one consistent set of swaps.
+function poolFetchStart(poolStore, routeSince) {
+    return REFETCH_FROM ?? Math.min(resumeTimestamp(poolStore, START_TIMESTAMP, REFETCH_DAYS), routeSince);
+}
+
+async function processPool(chain, source, poolConfig, store, limiter, progress, routeSince) {
+    const poolStart = Date.now();
+    const tag = `${chain.name} ${poolConfig.label || poolConfig.id.slice(0, 10)}`;
+
+    const fail = (message, fetched = null) => {
+        progress.completed++;
+        progress.failed++;
+        log(`[${progress.completed}/${progress.total}] ${tag}: ${message}`);
+        return { poolId: poolConfig.id, success: false, fetched, status: failedStatus(message, fetched?.swaps.length, Date.now() - poolStart) };
+    };
+
+    try {
+        const pool = await source.fetchPoolDetails(poolConfig.id);
+
+        if (!pool) {
+            return fail('Pool not found');
+        }
+
+        const poolStore = getPoolStore(store, pool.id);
+        const since = poolFetchStart(poolStore, routeSince);
+        debug(`   🔎 ${tag}: fetching ${new Date(since * 1000).toISOString()} to ${new Date(END_TIMESTAMP * 1000).toISOString()}`);
+
+        const { swaps, complete, failedRanges } = await source.fetchPoolSwaps(pool.id, since, limiter);
+
+        const fetchedUntil = complete ? END_TIMESTAMP : failedRanges[0].from;
+
+        // TVL only feeds the APR figures, so a pool without it is still stored
+        let tvlHistory = null;
+        try {
+            tvlHistory = (await source.fetchPoolTvl(pool.id, since))?.filter(day => day.date < END_TIMESTAMP) ?? null;
+            debug(`   🔎 ${tag}: ${tvlHistory?.length ?? 'no'} days of TVL history`);
+        } catch (error) {
+            console.warn(`   ⚠️  ${tag}: TVL history unavailable: ${error.message}`);
+        }
+
+        let ethPriceUSD = null;
+        if (swaps.some(swap => !swap.amountUSD || swap.amountUSD === '0')) {
+            try {
+                ethPriceUSD = await source.fetchEthPrice();
+                debug(`   🔎 ${tag}: ETH price for fallback pricing: ${ethPriceUSD ?? 'none'}`);
+            } catch (error) {
+                console.warn(`   ⚠️  ${tag}: ETH price unavailable, derivedETH fallback pricing skipped: ${error.message}`);
+            }
+        }
+
+        const stablecoins = chain.stablecoins || DEFAULT_STABLECOINS;
+        const priceSwap = createSwapPricer(pool, { chainName: chain.name, stablecoins, priceTable: PRICE_TABLE, ethPriceUSD });
+        const resolveFee = await buildFeeResolver(chain, pool, poolConfig, swaps);
+        const classifyPath = poolConfig.version === DEFAULT_VERSION ? createPathClassifier(REGISTRY, chain.name) : null;
+        const fetchedDays = calculateVolumeAndFees(swaps, resolveFee, classifyPath, priceSwap);
+        const fetchedPricing = totalPricing(fetchedDays);
+        if (fetchedPricing.unpricedSwaps > 0) {
+            console.warn(`   ⚠️  ${tag}: ${fetchedPricing.unpricedSwaps} swaps could not be priced and are left out of volume`);
+        }
+        mergeDailyData(poolStore, addTvlHistory(fetchedDays, tvlHistory ?? []), since, fetchedUntil, END_TIMESTAMP);
+
+        const dailyData = storedDailyData(poolStore);
+        const fetched = { pool, swaps, fetchedUntil, priceSwap };
+
+        if (dailyData.length === 0) {
+            return fail(complete ? 'No swaps in time range' : `No swaps fetched, ${failedRanges.length} time slices failed`, fetched);
+        }
+
+        const totalVolume = calculateTotalVolume(dailyData);
+        const weeklyData = aggregateWeekly(dailyData);
+
+        const pair = `${pool.token0.symbol}/${pool.token1.symbol}`;
+        const dynamicFee = isDynamicFee(pool.feeTier);
+        const estimatedFees = dailyData.reduce((sum, day) => sum + (day.estimatedFees ?? 0), 0);
+        const poolMetadata = {
+            poolId: pool.id,
+            label: poolConfig.label || pair,
+            pair,
+            version: poolConfig.version,
+            feeTier: pool.feeTier,
+            tvlUSD: pool.totalValueLockedUSD ? parseFloat(pool.totalValueLockedUSD) : null,
+            feePercent: dynamicFee ? 'dynamic' : (parseInt(pool.feeTier) / 10000).toFixed(6) + '%',
+            source: chain.source,
+            dynamicFee,
+            hooks: describeHooks(pool.hooks, HOOK_REGISTRY, chain.name),
+            stablePair: stablecoins.includes(pool.token0.symbol) && stablecoins.includes(pool.token1.symbol),
+            feeAccuracy: estimatedFees > 0 ? 'estimated' : 'exact',
+            autoSelected: Boolean(poolConfig.discovery),
+            discoveryRank: poolConfig.discovery?.rank ?? null,
+        };
+
+        const coverage = {
+            complete,
+            swapCount: swaps.length,
+            from: dailyData[0].timestamp,
+            to: poolStore.highWaterMark,
+            fetchedFrom: since,
+            failedRanges,
+            pricing: totalPricing(dailyData),
+        };
+
+        const dailyEntries = dailySeries(dailyData);
+        const anomalies = { weekly: detectAnomalies(weeklyData), daily: detectAnomalies(dailyEntries) };
+        if (anomalies.weekly.length > 0) {
+            debug(`   🔎 ${tag}: ${anomalies.weekly.length} weekly anomalies, latest: ${anomalies.weekly[anomalies.weekly.length - 1].message}`);
+        }
+
+        const poolTime = ((Date.now() - poolStart) / 1000).toFixed(1);
+        progress.completed++;
+        progress.successful++;
+
+        log(`${complete ? '✅' : '⚠️ '} [${progress.completed}/${progress.total}] ${chain.name}: ${pair} ${poolConfig.version.toUpperCase()} - ${swaps.length} new swaps, ${dailyData.length} days stored, $${totalVolume.toLocaleString(undefined, { maximumFractionDigits: 0 })} (${poolTime}s)${complete ? '' : ` - INCOMPLETE, ${failedRanges.length} time slices missing`}`);
+
+        return {
+            poolId: pool.id,
+            success: true,
+            poolMetadata,
+            weeklyData,
+            dailyData: dailyEntries,
+            hourlyData: hourlySeries(dailyData),
+            anomalies,
+            coverage,
+            fetched,
+            status: {
+                status: complete ? 'ok' : 'partial',
+                error: complete ? null : `${failedRanges.length} time slices missing: ${failedRanges[0].error}`,
+                swapCount: swaps.length,
+                durationMs: Date.now() - poolStart,
+                window: { from: coverage.from, to: coverage.to },
+            },
+        };
+    } catch (error) {
+        progress.completed++;
+        progress.failed++;
+        console.error(`❌ [${progress.completed}/${progress.total}] ${tag}: ${error.message}`);
+        return { poolId: poolConfig.id, success: false, fetched: null, status: failedStatus(error.message, 0, Date.now() - poolStart) };
+    }
+}
+
+// Rebuilds the chain's route statistics from `routeSince` onwards from the
+// pools that were fetched. Pools that failed are recorded as missing on the
+// rebuilt days rather than holding the route high-water mark back, which
+// would otherwise drag every pool's fetch window back with it for as long as
+// one pool keeps failing. Skipped when only some pools were selected.
+function updateRoutes(chain, store, results, routeSince) {
+    const routeStore = getRouteStore(store);
+    const fetchedResults = results.filter(result => result.fetched);
+
+    if (chain.partial) {
+        debug(`   🔎 ${chain.name}: only some pools selected, route statistics not updated`);
+    } else if (fetchedResults.length > 0) {
+        const poolsById = new Map(fetchedResults.map(({ fetched }) => [fetched.pool.id, fetched.pool]));
+        // Hops are valued like the pool aggregates, with the same fallback pricing
+        const pricers = new Map(fetchedResults.map(({ fetched }) => [fetched.pool.id, fetched.priceSwap]));
+        const valueSwap = (swap) => swapVolumeUSD(swap, pricers.get(swap.pool.id)).usd;
+        const swaps = fetchedResults.flatMap(({ fetched }) =>
+            fetched.swaps.filter(swap => Number(swap.timestamp) >= routeSince)
+        );
+        const fetchedUntil = Math.min(...fetchedResults.map(({ fetched }) => fetched.fetchedUntil));
+
+        const routeDays = calculateRouteStats(assembleRoutes(swaps, poolsById, valueSwap));
+        const missing = results.filter(result => !result.fetched).map(result => result.poolId);
+        if (missing.length > 0) {
+            console.warn(`   ⚠️  ${chain.name}: route statistics rebuilt without ${missing.length} pools that were not fetched`);
+            markMissingPools(routeDays, routeSince, Math.min(fetchedUntil, END_TIMESTAMP), missing);
+        }
+        mergeDailyData(routeStore, routeDays, routeSince, fetchedUntil, END_TIMESTAMP);
+    } else if (results.length > 0) {
+        console.warn(`   ⚠️  ${chain.name}: no pool was fetched, route statistics not updated`);
+    }
+
+    return summarizeRoutes(storedDailyData(routeStore), weekKey);
+}
+
+function describeWindow() {
+    const until = OPTIONS.until ? ` until ${dayKey(END_TIMESTAMP)}` : '';
+    if (REFETCH_FROM !== null) {
+        return `Refetching every selected pool from ${dayKey(REFETCH_FROM)}${until}, replacing stored days`;
+    }
+    return `Fetching new swaps since each pool's high-water mark${until} (backfilling ${OPTIONS.weeks} weeks, since ${new Date(START_TIMESTAMP * 1000).toISOString()}, for new pools)`;
+}
+
+// --dry-run: what a run would fetch, from the config and the stores only
+function printPlan() {
+    console.log(`${describeWindow()}\n`);
+    console.log(`Concurrency: ${OPTIONS.concurrency} day slices per chain`);
+    console.log(`Query budget: ${OPTIONS.queryBudget ?? 'no limit'} per API key`);
+    console.log(`Output: ${OPTIONS.out} (${OPTIONS.format})\n`);
+
+    for (const chain of CHAINS) {
+        const store = loadChainStore(STORE_DIR, chain.name);
+        const routeSince = routeFetchStart(store);
+        const discover = chain.discover ? { ...DISCOVERY_DEFAULTS, ...chain.discover } : null;
+
+        console.log(`${chain.name} (${chain.source})${discover ? `, plus its top ${discover.top} pools by ${discover.rankBy}` : ''}`);
+        for (const pool of chain.pools) {
+            const since = poolFetchStart(getPoolStore(store, pool.id), routeSince);
+            console.log(`   ${pool.version.toUpperCase()} ${pool.label || pool.id} from ${dayKey(since)}`);
+        }
+        if (chain.partial) {
+            console.log('   route statistics not updated (only some pools selected)');
+        }
+    }
+}
+
+function printRequestStats() {
+    const { endpoints, keys } = graphRequestStats();
+    if (endpoints.length === 0) return;
+
+    log('Subgraph requests:');
+    for (const stats of endpoints) {
+        log(`   ${stats.endpoint}: ${stats.requests} requests, ${stats.retries} retried (${stats.throttled} throttled), ${stats.failed} failed, ${stats.avgLatencyMs}ms avg / ${stats.maxLatencyMs}ms max`);
+    }
+    for (const key of keys) {
+        log(`   ${key.name}: ${key.spent}${key.budget === null ? '' : ` of ${key.budget}`} queries, concurrency ${key.concurrency} (lowest ${key.lowestConcurrency})`);
+    }
+}
+
+// A chain is ok when all its pools are, failed when none has data from this
+// run, and partial otherwise (or when discovery failed).
+function chainStatus(results, error, durationMs, lastUpdated) {
+    const pools = Object.fromEntries(results.map(({ poolId, status }) => [
+        poolId,
+        { ...status, lastSuccess: status.status === 'failed' ? null : lastUpdated },
+    ]));
+    const statuses = Object.values(pools).map(pool => pool.status);
+
+    let status = 'partial';
+    if (statuses.every(value => value === 'failed')) status = 'failed';
+    else if (!error && statuses.every(value => value === 'ok')) status = 'ok';
+
+    return {
+        status,
+        error: error ?? Object.values(pools).find(pool => pool.error)?.error ?? null,
+        durationMs,
+        lastSuccess: status === 'failed' ? null : lastUpdated,
+        pools,
+    };
+}
+
+// Refuses to replace the output with one that does not match the schema, or
+// with a run in which no pool could be fetched at all.
+function checkOutput(output, progress) {
+    const problems = validateOutput(output, OUTPUT_SCHEMA);
+    if (problems.length > 0) {
+        console.error(`❌ Output does not match ${path.basename(OUTPUT_SCHEMA_PATH)} (${problems.length} problems):`);
+        problems.slice(0, 20).forEach(problem => console.error(`   ${problem}`));
+        return false;
+    }
+    if (progress.successful === 0) {
+        console.error('❌ No pool was fetched');
+        return false;
+    }
+    return true;
+}
+
+function writeOutput(output) {
+    const outDir = OPTIONS.format === 'csv-chains' ? OPTIONS.out : path.dirname(OPTIONS.out);
+    if (!fs.existsSync(outDir)) {
+        fs.mkdirSync(outDir, { recursive: true });
+    }
+
+    if (OPTIONS.format === 'csv-chains') {
+        for (const [file, csv] of Object.entries(chainCsvs(output))) {
+            fs.writeFileSync(path.join(outDir, file), csv);
+        }
+        return;
+    }
+    fs.writeFileSync(OPTIONS.out, OPTIONS.format === 'csv' ? dailyCsv(output) : JSON.stringify(output, null, 2));
+}
+
 async function main() {
-    const startTime = Date.now();
+    if (OPTIONS.dryRun) {
+        printPlan();
+        return;
+    }
 
-    console.log('Starting SUPER-OPTIMIZED Uniswap V4 data fetch...\n');
-    console.log(`Fetching data from last 8 weeks (since ${new Date(START_TIMESTAMP * 1000).toISOString()})\n`);
-    console.log(`Processing ${CHAINS.length} chains in parallel (${MAX_CONCURRENT_BATCHES} concurrent batches per chain)...\n`);
+    const startTime = Date.now();
+    const poolCount = CHAINS.reduce((sum, chain) => sum + chain.pools.length, 0);
+    const discoveringCount = CHAINS.filter(chain => chain.discover).length;
+
+    log('Starting SUPER-OPTIMIZED Uniswap V4 data fetch...\n');
+    log(`${describeWindow()}\n`);
+    log(`Processing ${poolCount} configured pools on ${CHAINS.length} chains in parallel (${OPTIONS.concurrency} concurrent day slices per chain)...\n`);
+    if (discoveringCount > 0) {
+        log(`Discovering top pools on ${discoveringCount} chains...\n`);
+    }
 
     const output = {
+        version: OUTPUT_VERSION,
+        status: {},
         chains: {},
+        daily: {},
+        hourly: {},
         poolMetadata: {},
+        coverage: {},
+        anomalies: {},
+        discovery: {},
+        routes: {},
         lastUpdated: new Date().toISOString(),
     };
 
     const progress = {
-        total: CHAINS.length,
+        total: poolCount,
         completed: 0,
         successful: 0,
         failed: 0
     };
 
-    // Process all chains in parallel
+    // Process all chains in parallel; pools on one chain share its limiter
     const chainPromises = CHAINS.map(async (chain) => {
         const chainStart = Date.now();
+        const limiter = new ConcurrencyLimiter(OPTIONS.concurrency);
+        const store = loadChainStore(STORE_DIR, chain.name);
+        const { pools, error: discoveryError } = await resolveChainPools(chain, progress);
 
+        let sources;
         try {
-            const pool = await fetchPoolDetails(chain);
-
-            if (!pool) {
-                progress.completed++;
-                progress.failed++;
-                console.log(`[${progress.completed}/${progress.total}] ${chain.name}: Pool not found`);
-                return { chain: chain.name, success: false };
-            }
+            const versions = new Set(pools.map(pool => pool.version));
+            sources = Object.fromEntries([...versions].map(version => [version, createDataSource(chain, version)]));
+        } catch (error) {
+            console.error(`❌ ${chain.name}: ${error.message}`);
+            progress.completed += pools.length;
+            progress.failed += pools.length;
+            return {
+                chain: chain.name,
+                results: pools.map(pool => ({ poolId: pool.id, success: false, fetched: null, status: failedStatus(error.message) })),
+                store: null,
+                routes: null,
+                discovered: [],
+                error: error.message,
+                durationMs: Date.now() - chainStart,
+            };
+        }
 
-            const swaps = await fetchPoolSwapsSuperFast(chain, pool.id);
+        const routeSince = routeFetchStart(store);
+        const results = await Promise.all(pools.map(poolConfig =>
+            processPool(chain, sources[poolConfig.version], poolConfig, store, limiter, progress, routeSince)
+        ));
+        Object.values(sources).forEach(source => source.close());
 
-            if (swaps.length === 0) {
-                progress.completed++;
-                progress.failed++;
-                console.log(`[${progress.completed}/${progress.total}] ${chain.name}: No swaps in time range`);
-                return { chain: chain.name, success: false };
-            }
+        const routes = updateRoutes(chain, store, results, routeSince);
 
-            const dailyData = calculateVolumeAndFees(swaps);
-            const totalVolume = calculateTotalVolume(dailyData);
-            const weeklyData = aggregateWeekly(dailyData);
+        return {
+            chain: chain.name,
+            results,
+            store,
+            routes,
+            discovered: pools.filter(pool => pool.discovery),
+            error: discoveryError ?? (pools.length === 0 ? 'No pools to fetch' : null),
+            durationMs: Date.now() - chainStart,
+        };
+    });
 
-            const poolMetadata = {
-                poolId: pool.id,
-                pair: `${pool.token0.symbol}/${pool.token1.symbol}`,
-                feeTier: pool.feeTier,
-                feePercent: (parseInt(pool.feeTier) / 10000).toFixed(6) + '%',
-            };
+    const chainResults = await Promise.all(chainPromises);
 
-            const chainTime = ((Date.now() - chainStart) / 1000).toFixed(1);
-            progress.completed++;
-            progress.successful++;
+    chainResults.forEach(({ chain, results, routes, discovered, error, durationMs }) => {
+        output.status[chain] = chainStatus(results, error, durationMs, output.lastUpdated);
 
-            console.log(`✅ [${progress.completed}/${progress.total}] ${chain.name}: ${pool.token0.symbol}/${pool.token1.symbol} - ${swaps.length} swaps, $${totalVolume.toLocaleString(undefined, { maximumFractionDigits: 0 })} (${chainTime}s)`);
+        if (routes && routes.weekly.length > 0) {
+            output.routes[chain] = routes;
+        }
 
-            return {
-                chain: chain.name,
-                success: true,
-                poolMetadata,
-                weeklyData
+        if (discovered.length > 0) {
+            const discover = CHAINS.find(c => c.name === chain).discover;
+            output.discovery[chain] = {
+                ...DISCOVERY_DEFAULTS,
+                ...discover,
+                pools: discovered.map(pool => pool.id),
             };
-        } catch (error) {
-            progress.completed++;
-            progress.failed++;
-            console.error(`❌ [${progress.completed}/${progress.total}] ${chain.name}: ${error.message}`);
-            return { chain: chain.name, success: false };
         }
-    });
-
-    const results = await Promise.all(chainPromises);
 
-    results.forEach(result => {
-        if (result.success) {
-            output.chains[result.chain] = result.weeklyData;
-            output.poolMetadata[result.chain] = result.poolMetadata;
-        }
+        results.filter(result => result.success).forEach(result => {
+            output.chains[chain] ??= {};
+            output.daily[chain] ??= {};
+            output.hourly[chain] ??= {};
+            output.poolMetadata[chain] ??= {};
+            output.coverage[chain] ??= {};
+            output.anomalies[chain] ??= {};
+
+            output.chains[chain][result.poolId] = result.weeklyData;
+            output.daily[chain][result.poolId] = result.dailyData;
+            output.hourly[chain][result.poolId] = result.hourlyData;
+            output.poolMetadata[chain][result.poolId] = result.poolMetadata;
+            output.coverage[chain][result.poolId] = result.coverage;
+            output.anomalies[chain][result.poolId] = result.anomalies;
+        });
     });
 
-    const outDir = path.join(__dirname, '../public');
-    const outPath = path.join(outDir, 'uniswap_data.json');
+    const chainNames = configuredChainNames(CONFIG_PATH);
+    if (OPTIONS.format === 'json') {
+        const previous = loadPreviousOutput(OPTIONS.out, OUTPUT_SCHEMA);
+        carryOver(output, previous, chainNames, CHAINS.filter(chain => chain.partial).map(chain => chain.name));
+    }
 
-    if (!fs.existsSync(outDir)) {
-        fs.mkdirSync(outDir, { recursive: true });
+    // Configured chains without a reachable data source stay listed, as failed
+    if (!OPTIONS.chains && OPTIONS.pools.length === 0) {
+        chainNames.filter(name => !FETCHABLE_CHAINS.some(chain => chain.name === name)).forEach(name => {
+            output.status[name] = {
+                ...(output.status[name] ?? { durationMs: 0, lastSuccess: null, pools: {} }),
+                status: 'failed',
+                error: 'No reachable data source (subgraph endpoint or RPC URL)',
+            };
+        });
     }
 
-    fs.writeFileSync(outPath, JSON.stringify(output, null, 2));
+    // The stores only advance together with the output, so a rejected run is
+    // fetched again in full by the next one
+    const saved = checkOutput(output, progress);
+    if (saved) {
+        chainResults.filter(result => result.store).forEach(result => saveChainStore(STORE_DIR, result.store));
+        writeOutput(output);
+    } else {
+        process.exitCode = 1;
+    }
 
     const totalTime = ((Date.now() - startTime) / 1000).toFixed(1);
 
-    console.log(`\n${'='.repeat(60)}`);
-    console.log(`Complete! Data saved to: ${outPath}`);
-    console.log(`Results: ${progress.successful} successful, ${progress.failed} failed`);
-    console.log(`${'='.repeat(60)}\n`);
+    log(`\n${'='.repeat(60)}`);
+    log(saved ? `Complete! Data saved to: ${OPTIONS.out}` : `Failed! ${OPTIONS.out} and the pool stores left unchanged`);
+    log(`Results: ${progress.successful} successful, ${progress.failed} failed in ${totalTime}s`);
+    log(`${'='.repeat(60)}\n`);
+    printRequestStats();
 }
 
 main().catch(err => {
@@ -0,0 +1,157 @@
+// Flags periods of a pool's series whose volume looks unusual: statistical
+// outliers against the pool's own recent history, periods dominated by a
+// single swap, and periods with many back-and-forth trades from one origin.
+
+// Two opposite swaps from the same origin this close together are a round trip
+export const ROUND_TRIP_SECONDS = 10 * 60;
+
+// Outliers are scored against the previous `OUTLIER_WINDOW` periods, once at
+// least `OUTLIER_MIN_HISTORY` of them exist, with the modified z-score
+// (median and MAD) of log volume; 3.5 is the usual cut-off for it.
+const OUTLIER_WINDOW = 8;
+const OUTLIER_MIN_HISTORY = 4;
+const OUTLIER_THRESHOLD = 3.5;
+const MAD_SCALE = 0.6745;
+// Scale of the mean absolute deviation when over half the window is identical
+const MEAN_AD_SCALE = 0.7979;
+
+// A single swap only dominates a period with a handful of other swaps in it
+const DOMINANT_SWAP_SHARE = 0.5;
+const DOMINANT_SWAP_MIN_SWAPS = 5;
+const ROUND_TRIP_SHARE = 0.2;
+const ROUND_TRIP_MIN_COUNT = 2;
+
+export function emptySwapActivity() {
+    return { largestSwap: null, roundTrips: 0, roundTripVolume: 0 };
+}
+
+export function addSwapActivity(activity, swap, volumeUSD) {
+    if (volumeUSD > (activity.largestSwap?.volume ?? 0)) {
+        activity.largestSwap = { volume: volumeUSD, transaction: swap.transaction?.id ?? null, origin: swap.origin ?? null };
+    }
+}
+
+export function mergeSwapActivity(target, source) {
+    if (!source) return;
+
+    if ((source.largestSwap?.volume ?? 0) > (target.largestSwap?.volume ?? 0)) {
+        target.largestSwap = source.largestSwap;
+    }
+    target.roundTrips += source.roundTrips;
+    target.roundTripVolume += source.roundTripVolume;
+}
+
+// Pairs each priced swap with the next opposite-direction swap from the same
+// transaction origin within ROUND_TRIP_SECONDS; every swap is used at most
+// once. Swaps without an origin are skipped, since their `sender` is usually
+// a shared router. Returns the round trips with the timestamp of their first
+// leg and the volume of both legs.
+export function findRoundTrips(legs) {
+    const byOrigin = new Map();
+    for (const leg of legs) {
+        if (!leg.origin || leg.volume === 0) continue;
+        if (!byOrigin.has(leg.origin)) byOrigin.set(leg.origin, []);
+        byOrigin.get(leg.origin).push(leg);
+    }
+
+    const roundTrips = [];
+    for (const originLegs of byOrigin.values()) {
+        let open = null;
+        for (const leg of originLegs.sort((a, b) => a.timestamp - b.timestamp)) {
+            if (open && open.buy !== leg.buy && leg.timestamp - open.timestamp <= ROUND_TRIP_SECONDS) {
+                roundTrips.push({ timestamp: open.timestamp, volume: open.volume + leg.volume });
+                open = null;
+            } else {
+                open = leg;
+            }
+        }
+    }
+    return roundTrips;
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Modified z-score of `value` against `history`, or null when the history
+// has no spread at all
+function robustScore(value, history) {
+    const center = median(history);
+    const deviations = history.map(item => Math.abs(item - center));
+    const mad = median(deviations);
+    if (mad > 0) return MAD_SCALE * (value - center) / mad;
+
+    const meanDeviation = deviations.reduce((sum, item) => sum + item, 0) / deviations.length;
+    return meanDeviation > 0 ? MEAN_AD_SCALE * (value - center) / meanDeviation : null;
+}
+
+function formatUSD(value) {
+    return `$${value.toLocaleString('en-US', { maximumFractionDigits: 0 })}`;
+}
+
+function formatShare(value) {
+    return `${(value * 100).toFixed(0)}%`;
+}
+
+function outlierFlag(series, index) {
+    const history = series.slice(Math.max(0, index - OUTLIER_WINDOW), index).map(entry => entry.volume);
+    if (history.length < OUTLIER_MIN_HISTORY) return null;
+
+    const { date, volume } = series[index];
+    const score = robustScore(Math.log10(1 + volume), history.map(value => Math.log10(1 + value)));
+    if (score === null || Math.abs(score) <= OUTLIER_THRESHOLD) return null;
+
+    const typical = median(history);
+    const ratio = typical > 0 ? volume / typical : null;
+    const direction = score > 0 ? 'spike' : 'drop';
+    return {
+        date,
+        type: 'outlier',
+        direction,
+        score: Number(score.toFixed(2)),
+        message: `Volume ${direction}: ${formatUSD(volume)} against a median of ${formatUSD(typical)} over the previous ${history.length} periods${ratio === null ? '' : ` (${ratio >= 1 ? ratio.toFixed(1) : ratio.toFixed(2)}x)`}`,
+    };
+}
+
+function dominantSwapFlag({ date, volume, activity, trades }) {
+    const largest = activity?.largestSwap;
+    if (!largest || volume <= 0 || (trades?.priced ?? 0) < DOMINANT_SWAP_MIN_SWAPS) return null;
+
+    const share = largest.volume / volume;
+    if (share < DOMINANT_SWAP_SHARE) return null;
+
+    return {
+        date,
+        type: 'dominantSwap',
+        share,
+        transaction: largest.transaction,
+        message: `One swap of ${formatUSD(largest.volume)} is ${formatShare(share)} of the period's volume${largest.transaction ? ` (tx ${largest.transaction.slice(0, 10)}…)` : ''}`,
+    };
+}
+
+function roundTripFlag({ date, volume, activity }) {
+    if (!activity || volume <= 0 || activity.roundTrips < ROUND_TRIP_MIN_COUNT) return null;
+
+    const share = Math.min(activity.roundTripVolume / volume, 1);
+    if (share < ROUND_TRIP_SHARE) return null;
+
+    return {
+        date,
+        type: 'roundTrips',
+        share,
+        count: activity.roundTrips,
+        message: `${activity.roundTrips} round trips (a swap reversed by the same origin within ${ROUND_TRIP_SECONDS / 60} minutes) make up ${formatShare(share)} of the period's volume, a possible sign of wash trading`,
+    };
+}
+
+// Flags for one pool series (weekly or daily entries, sorted by date), in
+// date order. An entry can carry several flags.
+export function detectAnomalies(series) {
+    return series.flatMap((entry, index) => [
+        outlierFlag(series, index),
+        dominantSwapFlag(entry),
+        roundTripFlag(entry),
+    ].filter(Boolean));
+}
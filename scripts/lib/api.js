@@ -0,0 +1,250 @@
+import { liquidityStats } from './liquidity.js';
+import { OUTPUT_VERSION } from './output.js';
+import { weekKey } from './store.js';
+
+// Read-only queries over the fetcher's output (uniswap_data.json). Routing is
+// kept free of HTTP so the server only deals with transport and caching.
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const GRANULARITIES = ['day', 'week', 'month'];
+
+// Value of one series entry per metric; null where the entry has no figure
+const METRICS = {
+    volume: entry => entry.volume,
+    fees: entry => entry.fees,
+    trades: entry => entry.trades?.count ?? null,
+    tvl: entry => entry.tvl ?? null,
+    feeApr: entry => entry.feeApr ?? null,
+    price: entry => entry.price?.close ?? null,
+};
+
+// Errors carry the HTTP status to answer with
+function apiError(status, message) {
+    return Object.assign(new Error(message), { status });
+}
+
+function parseDateParam(params, name) {
+    const value = params.get(name);
+    if (value === null || value === '') return null;
+    if (!DATE_PATTERN.test(value)) {
+        throw apiError(400, `${name} expects a date as YYYY-MM-DD, got "${value}"`);
+    }
+    return value;
+}
+
+function parseChoice(params, name, choices, fallback) {
+    const value = params.get(name) ?? fallback;
+    if (!choices.includes(value)) {
+        throw apiError(400, `${name} must be one of ${choices.join(', ')}, got "${value}"`);
+    }
+    return value;
+}
+
+function inRange(date, { from, to }) {
+    return (!from || date >= from) && (!to || date <= to);
+}
+
+function periodKey(date, granularity) {
+    if (granularity === 'day') return date;
+    if (granularity === 'month') return `${date.slice(0, 7)}-01`;
+    return weekKey(Date.parse(`${date}T00:00:00Z`) / 1000);
+}
+
+// Daily entries summed into weeks or months, with the period's average TVL
+// and fee APR, and the last day's closing price
+function aggregateSeries(days, granularity) {
+    if (granularity === 'day') return days;
+
+    const periods = new Map();
+    for (const day of days) {
+        const key = periodKey(day.date, granularity);
+        if (!periods.has(key)) periods.set(key, []);
+        periods.get(key).push(day);
+    }
+
+    return [...periods.entries()].map(([date, periodDays]) => ({
+        date,
+        volume: periodDays.reduce((sum, day) => sum + day.volume, 0),
+        fees: periodDays.reduce((sum, day) => sum + day.fees, 0),
+        trades: periodDays.some(day => day.trades)
+            ? { count: periodDays.reduce((sum, day) => sum + (day.trades?.count ?? 0), 0) }
+            : null,
+        ...(liquidityStats(periodDays) ?? { tvl: null, feeApr: null }),
+        price: periodDays.filter(day => day.price).at(-1)?.price ?? null,
+    }));
+}
+
+function poolCategory(pool) {
+    return pool.hooks?.category ?? null;
+}
+
+// Pools of a chain that pass the `version`, `hook` (category) and `pair` filters
+function filterPools(pools, params) {
+    const version = params.get('version');
+    const hook = params.get('hook');
+    const pair = params.get('pair')?.toUpperCase();
+    return Object.values(pools).filter(pool =>
+        (!version || (pool.version ?? 'v4') === version)
+        && (!hook || poolCategory(pool) === hook)
+        && (!pair || pool.pair.toUpperCase() === pair)
+    );
+}
+
+function chainNames(data) {
+    return [...new Set([...Object.keys(data.chains ?? {}), ...Object.keys(data.status ?? {})])];
+}
+
+function requireChain(data, chain) {
+    const name = chain.toUpperCase();
+    if (!chainNames(data).includes(name)) {
+        throw apiError(404, `Unknown chain ${chain}`);
+    }
+    return name;
+}
+
+function dataStatus(data) {
+    if (!data) return 'unavailable';
+    return data.version === OUTPUT_VERSION ? 'ok' : 'outdated';
+}
+
+function health(data) {
+    return {
+        status: dataStatus(data),
+        version: data?.version ?? null,
+        lastUpdated: data?.lastUpdated ?? null,
+        chains: data ? Object.fromEntries(chainNames(data).map(chain => [chain, data.status?.[chain]?.status ?? 'ok'])) : {},
+    };
+}
+
+function listChains(data) {
+    return chainNames(data).map(chain => ({
+        chain,
+        status: data.status?.[chain]?.status ?? 'ok',
+        error: data.status?.[chain]?.error ?? null,
+        lastSuccess: data.status?.[chain]?.lastSuccess ?? null,
+        pools: Object.keys(data.chains?.[chain] ?? {}).length,
+    }));
+}
+
+function listPools(data, chain, params) {
+    const pools = filterPools(data.poolMetadata?.[chain] ?? {}, params);
+    return pools.map(pool => ({
+        ...pool,
+        status: data.status?.[chain]?.pools?.[pool.poolId] ?? null,
+        coverage: data.coverage?.[chain]?.[pool.poolId] ?? null,
+    }));
+}
+
+// A pool's daily series, or its weekly one for pools migrated from an output
+// that only had weekly series
+function poolEntries(data, chain, id) {
+    return data.daily?.[chain]?.[id] ?? data.chains?.[chain]?.[id];
+}
+
+// A pool id can in principle exist on several chains; `chain` picks one
+function findPool(data, poolId, params) {
+    const id = poolId.toLowerCase();
+    const chainParam = params.get('chain');
+    const chains = (chainParam ? [requireChain(data, chainParam)] : chainNames(data))
+        .filter(chain => poolEntries(data, chain, id));
+
+    if (chains.length === 0) {
+        throw apiError(404, `Unknown pool ${poolId}${chainParam ? ` on ${chainParam.toUpperCase()}` : ''}`);
+    }
+    if (chains.length > 1) {
+        throw apiError(400, `Pool ${poolId} is on ${chains.join(', ')}; pick one with ?chain=`);
+    }
+    return { chain: chains[0], id };
+}
+
+function poolSeries(data, poolId, params) {
+    const { chain, id } = findPool(data, poolId, params);
+    const metric = parseChoice(params, 'metric', Object.keys(METRICS), 'volume');
+    const granularity = parseChoice(params, 'granularity', GRANULARITIES, 'week');
+    const range = { from: parseDateParam(params, 'from'), to: parseDateParam(params, 'to') };
+
+    const days = poolEntries(data, chain, id).filter(day => inRange(day.date, range));
+    return {
+        chain,
+        poolId: id,
+        pool: data.poolMetadata?.[chain]?.[id] ?? null,
+        metric,
+        granularity,
+        ...range,
+        series: aggregateSeries(days, granularity).map(entry => ({ date: entry.date, value: METRICS[metric](entry) })),
+    };
+}
+
+// Volume, fees and swap counts per chain over the range, for the pools that
+// pass the pool filters, and their sum
+function summary(data, params) {
+    const range = { from: parseDateParam(params, 'from'), to: parseDateParam(params, 'to') };
+    const chains = params.get('chain') ? [requireChain(data, params.get('chain'))] : chainNames(data);
+
+    const rows = chains.map(chain => {
+        const pools = filterPools(data.poolMetadata?.[chain] ?? {}, params);
+        const totals = { chain, pools: pools.length, volume: 0, fees: 0, swaps: 0 };
+        for (const pool of pools) {
+            for (const day of poolEntries(data, chain, pool.poolId) ?? []) {
+                if (!inRange(day.date, range)) continue;
+                totals.volume += day.volume;
+                totals.fees += day.fees;
+                totals.swaps += day.trades?.count ?? 0;
+            }
+        }
+        return totals;
+    });
+
+    return {
+        lastUpdated: data.lastUpdated,
+        ...range,
+        total: rows.reduce((sum, row) => ({
+            pools: sum.pools + row.pools,
+            volume: sum.volume + row.volume,
+            fees: sum.fees + row.fees,
+            swaps: sum.swaps + row.swaps,
+        }), { pools: 0, volume: 0, fees: 0, swaps: 0 }),
+        chains: rows,
+    };
+}
+
+const ROUTES = [
+    [/^\/api\/data$/, data => data],
+    [/^\/api\/chains$/, data => listChains(data)],
+    [/^\/api\/chains\/([^/]+)\/pools$/, (data, params, [chain]) => listPools(data, requireChain(data, chain), params)],
+    [/^\/api\/pools\/([^/]+)\/series$/, (data, params, [poolId]) => poolSeries(data, poolId, params)],
+    [/^\/api\/summary$/, (data, params) => summary(data, params)],
+];
+
+function decodeSegment(segment) {
+    try {
+        return decodeURIComponent(segment);
+    } catch {
+        throw apiError(400, `Malformed escape in "${segment}"`);
+    }
+}
+
+// Answers a GET for `url` (path and query) from `data`, the parsed output or
+// null when none is loaded. Returns the response body; throws an error with a `status` for
+// bad requests, unknown paths and missing or outdated data.
+export function handleApiRequest(data, url) {
+    const { pathname, searchParams } = new URL(url, 'http://localhost');
+    const path = pathname.replace(/\/+$/, '');
+
+    if (path === '/api/health') {
+        return health(data);
+    }
+
+    for (const [pattern, handler] of ROUTES) {
+        const match = path.match(pattern);
+        if (!match) continue;
+        if (!data) {
+            throw apiError(503, 'No data loaded; run the fetcher first');
+        }
+        if (data.version !== OUTPUT_VERSION) {
+            throw apiError(503, `The output is not a version-${OUTPUT_VERSION} file; run the fetcher to regenerate it`);
+        }
+        return handler(data, searchParams, match.slice(1).map(decodeSegment));
+    }
+    throw apiError(404, `No endpoint at ${pathname}`);
+}
@@ -0,0 +1,97 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { handleApiRequest } from './api.js';
+import { OUTPUT_VERSION } from './output.js';
+
+const POOL_ID = '0xabc';
+
+function day(date, volume) {
+    return { date, volume, fees: volume / 100, trades: { count: 2 }, tvl: 1000, feeApr: 0.1, price: { close: 2 } };
+}
+
+const DATA = {
+    version: OUTPUT_VERSION,
+    lastUpdated: '2025-01-15T00:00:00.000Z',
+    status: { ARBITRUM: { status: 'ok', error: null, lastSuccess: '2025-01-15T00:00:00.000Z', pools: { [POOL_ID]: { status: 'ok' } } } },
+    chains: { ARBITRUM: { [POOL_ID]: [] } },
+    daily: { ARBITRUM: { [POOL_ID]: [day('2025-01-06', 100), day('2025-01-07', 50), day('2025-01-13', 10)] } },
+    hourly: {},
+    poolMetadata: { ARBITRUM: { [POOL_ID]: { poolId: POOL_ID, pair: 'WETH/USDC', version: 'v3', hooks: null } } },
+    coverage: { ARBITRUM: { [POOL_ID]: { from: '2025-01-06', to: '2025-01-13' } } },
+    discovery: {},
+    routes: {},
+};
+
+// The layout before output versions: no version, status, daily or coverage
+const LEGACY_DATA = {
+    lastUpdated: '2024-06-01T00:00:00.000Z',
+    chains: { ARBITRUM: { [POOL_ID]: [] } },
+    poolMetadata: { ARBITRUM: { [POOL_ID]: { poolId: POOL_ID, pair: 'WETH/USDC' } } },
+};
+
+function requestError(data, url) {
+    try {
+        handleApiRequest(data, url);
+    } catch (error) {
+        return { status: error.status, message: error.message };
+    }
+    assert.fail(`${url} did not throw`);
+}
+
+test('health reports the loaded data', () => {
+    assert.equal(handleApiRequest(DATA, '/api/health').status, 'ok');
+    assert.deepEqual(handleApiRequest(DATA, '/api/health/').chains, { ARBITRUM: 'ok' });
+    assert.equal(handleApiRequest(null, '/api/health').status, 'unavailable');
+    assert.equal(handleApiRequest(LEGACY_DATA, '/api/health').status, 'outdated');
+});
+
+test('lists chains and their pools with status and coverage', () => {
+    assert.deepEqual(handleApiRequest(DATA, '/api/chains'), [
+        { chain: 'ARBITRUM', status: 'ok', error: null, lastSuccess: '2025-01-15T00:00:00.000Z', pools: 1 },
+    ]);
+
+    const [pool] = handleApiRequest(DATA, '/api/chains/arbitrum/pools');
+    assert.equal(pool.poolId, POOL_ID);
+    assert.deepEqual(pool.status, { status: 'ok' });
+    assert.deepEqual(pool.coverage, { from: '2025-01-06', to: '2025-01-13' });
+    assert.deepEqual(handleApiRequest(DATA, '/api/chains/arbitrum/pools?version=v4'), []);
+});
+
+test('aggregates a pool series by week within the range', () => {
+    const weekly = handleApiRequest(DATA, `/api/pools/${POOL_ID}/series`);
+    assert.deepEqual(weekly.series, [{ date: '2025-01-06', value: 150 }, { date: '2025-01-13', value: 10 }]);
+
+    const daily = handleApiRequest(DATA, `/api/pools/${POOL_ID}/series?metric=trades&granularity=day&from=2025-01-07`);
+    assert.deepEqual(daily.series, [{ date: '2025-01-07', value: 2 }, { date: '2025-01-13', value: 2 }]);
+});
+
+test('sums the summary over chains and the range', () => {
+    const { total } = handleApiRequest(DATA, '/api/summary?to=2025-01-07');
+    assert.deepEqual(total, { pools: 1, volume: 150, fees: 1.5, swaps: 4 });
+});
+
+test('answers bad requests with their status', () => {
+    assert.equal(requestError(DATA, '/api/nope').status, 404);
+    assert.equal(requestError(DATA, '/api/chains/base/pools').status, 404);
+    assert.equal(requestError(DATA, '/api/pools/0xdef/series').status, 404);
+    assert.equal(requestError(DATA, `/api/pools/${POOL_ID}/series?metric=nope`).status, 400);
+    assert.equal(requestError(DATA, '/api/summary?from=2025-1-1').status, 400);
+    assert.equal(requestError(DATA, '/api/pools/%E0%A4%A/series').status, 400);
+    assert.equal(requestError(null, '/api/chains').status, 503);
+});
+
+test('answers 503 for an output file of another version', () => {
+    for (const url of ['/api/data', '/api/chains', '/api/chains/arbitrum/pools', `/api/pools/${POOL_ID}/series`, '/api/summary']) {
+        assert.equal(requestError(LEGACY_DATA, url).status, 503, url);
+    }
+});
+
+test('falls back to the weekly series of pools without daily data', () => {
+    const migrated = { ...DATA, daily: {} };
+    const { series } = handleApiRequest(migrated, `/api/pools/${POOL_ID}/series?granularity=day`);
+    assert.deepEqual(series, []);
+
+    const weekly = { ...migrated, chains: { ARBITRUM: { [POOL_ID]: [day('2025-01-06', 150)] } } };
+    assert.deepEqual(handleApiRequest(weekly, `/api/pools/${POOL_ID}/series`).series, [{ date: '2025-01-06', value: 150 }]);
+    assert.equal(handleApiRequest(weekly, '/api/summary').total.volume, 150);
+});
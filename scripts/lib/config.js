@@ -0,0 +1,145 @@
+import fs from 'fs';
+import { DEFAULT_VERSION, PROTOCOL_VERSIONS } from './versions.js';
+
+const CONFIG_VERSION = 1;
+
+// V4 uses the chain's `subgraphId`; V2/V3 use `subgraphs.v2` / `subgraphs.v3`.
+function resolveEndpoint(config, chain, version, env) {
+    const override = env[`${version.toUpperCase()}_SUBGRAPH_URL_${chain.name}`];
+    if (override) {
+        return override;
+    }
+    const subgraphId = version === DEFAULT_VERSION ? chain.subgraphId : chain.subgraphs?.[version];
+    if (!subgraphId || !env.GRAPH_API_KEY) {
+        return null;
+    }
+    return config.endpointTemplate
+        .replace('{GRAPH_API_KEY}', env.GRAPH_API_KEY)
+        .replace('{subgraphId}', subgraphId);
+}
+
+function validateConfig(config, file) {
+    if (config.version !== CONFIG_VERSION) {
+        throw new Error(`${file}: unsupported config version ${config.version}`);
+    }
+    if (!Array.isArray(config.chains)) {
+        throw new Error(`${file}: "chains" must be an array`);
+    }
+
+    const names = new Set();
+    for (const chain of config.chains) {
+        if (!chain.name) {
+            throw new Error(`${file}: every chain needs a "name"`);
+        }
+        if (names.has(chain.name)) {
+            throw new Error(`${file}: chain ${chain.name} is listed twice`);
+        }
+        names.add(chain.name);
+
+        if (chain.source !== undefined && !['subgraph', 'rpc'].includes(chain.source)) {
+            throw new Error(`${file}: ${chain.name} "source" must be "subgraph" or "rpc"`);
+        }
+        if (chain.source === 'rpc' && !(Number.isInteger(chain.startBlock) && chain.startBlock >= 0)) {
+            throw new Error(`${file}: ${chain.name} needs a "startBlock" (the PoolManager's deployment block) for the rpc source`);
+        }
+        if (chain.source === 'rpc' && chain.discover) {
+            throw new Error(`${file}: ${chain.name} pool discovery needs the subgraph source`);
+        }
+        if (chain.discover !== undefined && (typeof chain.discover !== 'object' || chain.discover === null)) {
+            throw new Error(`${file}: ${chain.name} "discover" must be an object`);
+        }
+
+        const ids = new Set();
+        for (const pool of chain.pools || []) {
+            if (!pool.id) {
+                throw new Error(`${file}: ${chain.name} has a pool without an "id"`);
+            }
+            const id = pool.id.toLowerCase();
+            if (ids.has(id)) {
+                throw new Error(`${file}: ${chain.name} lists pool ${pool.id} twice`);
+            }
+            ids.add(id);
+
+            if (pool.version !== undefined && !PROTOCOL_VERSIONS.includes(pool.version)) {
+                throw new Error(`${file}: ${chain.name} pool ${pool.id} "version" must be one of ${PROTOCOL_VERSIONS.join(', ')}`);
+            }
+            if (chain.source === 'rpc' && (pool.version ?? DEFAULT_VERSION) !== DEFAULT_VERSION) {
+                throw new Error(`${file}: ${chain.name} pool ${pool.id}: the rpc source only reads V4 pools`);
+            }
+        }
+    }
+}
+
+// Chains the config asks to track (an enabled pool or a `discover` block),
+// whether or not their data source is reachable
+export function configuredChainNames(file) {
+    const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    validateConfig(config, file);
+    return config.chains
+        .filter(chain => chain.discover || (chain.pools || []).some(pool => pool.enabled !== false))
+        .map(chain => chain.name);
+}
+
+// Reads the pools config and returns the chains that can be fetched: those
+// with at least one enabled pool whose data source is reachable, or a
+// `discover` block and a V4 subgraph endpoint. A `V<n>_SUBGRAPH_URL_<CHAIN>`
+// env var takes precedence over the templated URL of that version.
+export function loadChains(file, env = process.env) {
+    const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    validateConfig(config, file);
+
+    const chains = [];
+    for (const chain of config.chains) {
+        const configured = (chain.pools || [])
+            .filter(pool => pool.enabled !== false)
+            .map(pool => ({
+                id: pool.id.toLowerCase(),
+                label: pool.label || null,
+                version: pool.version || DEFAULT_VERSION,
+                estimatedFee: pool.estimatedFee ?? null,
+            }));
+
+        if (configured.length === 0 && !chain.discover) {
+            continue;
+        }
+
+        const source = chain.source || 'subgraph';
+        const url = source === 'subgraph' ? resolveEndpoint(config, chain, DEFAULT_VERSION, env) : null;
+        const versionUrls = Object.fromEntries(PROTOCOL_VERSIONS
+            .filter(version => version !== DEFAULT_VERSION)
+            .map(version => [version, resolveEndpoint(config, chain, version, env)]));
+
+        const reachable = (version) => version === DEFAULT_VERSION
+            ? source === 'rpc' || Boolean(url)
+            : Boolean(versionUrls[version]);
+
+        for (const version of new Set(configured.map(pool => pool.version))) {
+            if (!reachable(version)) {
+                console.warn(`⚠️  ${chain.name}: no ${version.toUpperCase()} subgraph endpoint (set GRAPH_API_KEY or ${version.toUpperCase()}_SUBGRAPH_URL_${chain.name}), skipping its ${version.toUpperCase()} pools`);
+            }
+        }
+
+        const pools = configured.filter(pool => reachable(pool.version));
+        const discover = chain.discover && reachable(DEFAULT_VERSION) ? chain.discover : null;
+        if (pools.length === 0 && !discover) {
+            continue;
+        }
+
+        chains.push({
+            name: chain.name,
+            source,
+            url,
+            versionUrls,
+            pools,
+            discover,
+            poolManager: chain.poolManager || null,
+            rpcUrl: env[`RPC_URL_${chain.name}`] || null,
+            logBlockRange: chain.logBlockRange,
+            startBlock: chain.startBlock,
+            nativeSymbol: chain.nativeSymbol,
+            stablecoins: chain.stablecoins,
+        });
+    }
+
+    return chains;
+}
@@ -0,0 +1,38 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadChains } from './config.js';
+
+const POOL_ID = `0x${'12'.repeat(32)}`;
+
+function writeConfig(t, chain) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pools-config-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const file = path.join(dir, 'pools.config.json');
+    fs.writeFileSync(file, JSON.stringify({
+        version: 1,
+        endpointTemplate: 'https://gateway.example/{GRAPH_API_KEY}/subgraphs/id/{subgraphId}',
+        chains: [{ name: 'TEST', pools: [{ id: POOL_ID }], ...chain }],
+    }));
+    return file;
+}
+
+test('rpc chains need a startBlock', (t) => {
+    const env = { RPC_URL_TEST: 'http://127.0.0.1:8545' };
+    const rpcChain = { source: 'rpc', poolManager: '0x000000000004444c5dc75cb358380d2e3de08a90' };
+
+    assert.throws(() => loadChains(writeConfig(t, rpcChain), env), /TEST needs a "startBlock"/);
+    assert.throws(() => loadChains(writeConfig(t, { ...rpcChain, startBlock: '21688329' }), env), /startBlock/);
+
+    const [chain] = loadChains(writeConfig(t, { ...rpcChain, startBlock: 21688329 }), env);
+    assert.equal(chain.startBlock, 21688329);
+    assert.equal(chain.rpcUrl, env.RPC_URL_TEST);
+});
+
+test('subgraph chains do not', (t) => {
+    const [chain] = loadChains(writeConfig(t, { subgraphId: 'abc' }), { GRAPH_API_KEY: 'key' });
+    assert.equal(chain.url, 'https://gateway.example/key/subgraphs/id/abc');
+});
@@ -0,0 +1,91 @@
+// CSV export of the output file's daily series: one row per pool and day.
+// `toCsv` is also what the dashboard's chart downloads use, so this module
+// stays free of Node imports.
+
+const DAILY_COLUMNS = [
+    ['chain', ({ chain }) => chain],
+    ['poolId', ({ poolId }) => poolId],
+    ['label', ({ pool }) => pool?.label],
+    ['pair', ({ pool }) => pool?.pair],
+    ['version', ({ pool }) => pool?.version],
+    ['date', ({ day }) => day.date],
+    ['volumeUSD', ({ day }) => day.volume],
+    ['feesUSD', ({ day }) => day.fees],
+    ['estimatedFeesUSD', ({ day }) => day.estimatedFees],
+    ['swaps', ({ day }) => day.trades?.count],
+    ['avgTradeUSD', ({ day }) => day.trades?.avgSize],
+    ['uniqueTraders', ({ day }) => day.trades?.uniqueTraders],
+    ['tvlUSD', ({ day }) => day.tvl],
+    ['feeApr', ({ day }) => day.feeApr],
+    ['turnover', ({ day }) => day.turnover],
+    ['open', ({ day }) => day.price?.open],
+    ['high', ({ day }) => day.price?.high],
+    ['low', ({ day }) => day.price?.low],
+    ['close', ({ day }) => day.price?.close],
+    ['fallbackVolumeUSD', ({ day }) => day.pricing?.fallbackVolume],
+    ['unpricedSwaps', ({ day }) => day.pricing?.unpricedSwaps],
+];
+
+function csvField(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// `columns` are [name, row => value] pairs
+export function toCsv(columns, rows) {
+    const lines = [columns.map(([name]) => csvField(name)).join(',')];
+    for (const row of rows) {
+        lines.push(columns.map(([, value]) => csvField(value(row))).join(','));
+    }
+    return lines.join('\n') + '\n';
+}
+
+export function dailyCsv(output) {
+    const rows = Object.entries(output.daily).flatMap(([chain, pools]) =>
+        Object.entries(pools).flatMap(([poolId, days]) =>
+            days.map(day => ({ chain, poolId, pool: output.poolMetadata[chain]?.[poolId], day }))
+        )
+    );
+    return toCsv(DAILY_COLUMNS, rows);
+}
+
+const SERIES_COLUMNS = [
+    ['poolId', ({ poolId }) => poolId],
+    ['pair', ({ pool }) => pool?.pair],
+    ['feeTier', ({ pool }) => pool?.feeTier],
+    ['date', ({ entry }) => entry.date],
+    ['volumeUSD', ({ entry }) => entry.volume],
+    ['feesUSD', ({ entry }) => entry.fees],
+    ['estimatedFeesUSD', ({ entry }) => entry.estimatedFees],
+];
+
+// `#` lines ahead of the column row, which pandas (`comment='#'`) and R
+// (`comment.char = '#'`) skip: when the file was generated and one line per
+// pool with its id, label, pair and fee tier.
+function metadataHeader(chain, pools, generatedAt) {
+    const lines = [`# chain: ${chain}`, `# generatedAt: ${generatedAt}`];
+    for (const [poolId, pool] of Object.entries(pools)) {
+        lines.push(`# pool: ${poolId} label=${JSON.stringify(pool?.label ?? '')} pair=${pool?.pair ?? ''} feeTier=${pool?.feeTier ?? ''} version=${pool?.version ?? ''}`);
+    }
+    return lines.join('\n') + '\n';
+}
+
+// One daily and one weekly volume/fees CSV per chain, keyed by file name
+// (`<chain>.daily.csv`, `<chain>.weekly.csv`), each with a metadata header.
+export function chainCsvs(output) {
+    const files = {};
+    for (const [chain, weekly] of Object.entries(output.chains)) {
+        const metadata = output.poolMetadata[chain] ?? {};
+        const pools = Object.fromEntries(Object.keys(weekly).map(poolId => [poolId, metadata[poolId]]));
+        const header = metadataHeader(chain, pools, output.lastUpdated);
+
+        for (const [name, series] of [['daily', output.daily[chain] ?? {}], ['weekly', weekly]]) {
+            const rows = Object.entries(series).flatMap(([poolId, entries]) =>
+                entries.map(entry => ({ poolId, pool: metadata[poolId], entry }))
+            );
+            files[`${chain.toLowerCase()}.${name}.csv`] = header + toCsv(SERIES_COLUMNS, rows);
+        }
+    }
+    return files;
+}
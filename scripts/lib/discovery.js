@@ -0,0 +1,96 @@
+import { graphRequest } from './graph.js';
+import { TOP_POOLS_BY_TVL_QUERY, TOP_POOLS_BY_VOLUME_QUERY } from './queries.js';
+import { DEFAULT_VERSION } from './versions.js';
+
+const DAY_SECONDS = 60 * 60 * 24;
+const CANDIDATE_COUNT = 200;
+
+export const DISCOVERY_DEFAULTS = {
+    top: 5,
+    rankBy: 'tvl',
+    minTvlUSD: 0,
+    volumeDays: 7,
+    allowTokens: [],
+    denyTokens: [],
+};
+
+// Tokens are matched by address or (case-insensitive) symbol.
+function tokenMatches(token, list) {
+    return list.some(entry => {
+        const value = entry.toLowerCase();
+        return token.id.toLowerCase() === value || token.symbol.toLowerCase() === value;
+    });
+}
+
+function passesTokenFilters(pool, options) {
+    const tokens = [pool.token0, pool.token1];
+
+    if (options.denyTokens.length > 0 && tokens.some(token => tokenMatches(token, options.denyTokens))) {
+        return false;
+    }
+    if (options.allowTokens.length > 0 && !tokens.every(token => tokenMatches(token, options.allowTokens))) {
+        return false;
+    }
+    return true;
+}
+
+async function rankByTvl(chain, options) {
+    const data = await graphRequest(chain.url, TOP_POOLS_BY_TVL_QUERY, {
+        first: CANDIDATE_COUNT,
+        minTvl: String(options.minTvlUSD),
+    });
+
+    return (data.pools || []).map(pool => ({
+        pool,
+        score: parseFloat(pool.totalValueLockedUSD),
+    }));
+}
+
+// Sums each pool's day datas over the last `volumeDays` days. Only the
+// largest day rows are fetched, so pools with many small days can rank low.
+async function rankByVolume(chain, options) {
+    const since = Math.floor(Date.now() / 1000) - options.volumeDays * DAY_SECONDS;
+    const data = await graphRequest(chain.url, TOP_POOLS_BY_VOLUME_QUERY, {
+        first: 1000,
+        since,
+    });
+
+    const byPool = new Map();
+    for (const day of data.poolDayDatas || []) {
+        const entry = byPool.get(day.pool.id) || { pool: day.pool, score: 0 };
+        entry.score += parseFloat(day.volumeUSD);
+        byPool.set(day.pool.id, entry);
+    }
+
+    return [...byPool.values()]
+        .filter(({ pool }) => parseFloat(pool.totalValueLockedUSD) >= options.minTvlUSD);
+}
+
+// Asks the chain's subgraph for its top pools and returns them as pool
+// config entries, best first.
+export async function discoverPools(chain, discover) {
+    const options = { ...DISCOVERY_DEFAULTS, ...discover };
+
+    if (!['tvl', 'volume'].includes(options.rankBy)) {
+        throw new Error(`Unknown discovery rankBy "${options.rankBy}" (expected "tvl" or "volume")`);
+    }
+
+    const ranked = options.rankBy === 'tvl'
+        ? await rankByTvl(chain, options)
+        : await rankByVolume(chain, options);
+
+    return ranked
+        .filter(({ pool }) => passesTokenFilters(pool, options))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, options.top)
+        .map(({ pool, score }, index) => ({
+            id: pool.id.toLowerCase(),
+            label: null,
+            version: DEFAULT_VERSION,
+            discovery: {
+                rank: index + 1,
+                rankBy: options.rankBy,
+                score,
+            },
+        }));
+}
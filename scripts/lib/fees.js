@@ -0,0 +1,144 @@
+import {
+    createProvider,
+    fetchPoolEvents,
+    fetchProtocolFee,
+    swapKey,
+    PROTOCOL_FEE_UPDATED_TOPIC,
+    SWAP_TOPIC,
+} from './poolManager.js';
+
+// V4 pools initialized with this fee value have their LP fee set by the hook
+// and it can change on every swap.
+export const DYNAMIC_FEE_FLAG = 0x800000;
+export const DEFAULT_ESTIMATED_FEE = 3000;
+
+export function isDynamicFee(feeTier) {
+    return parseInt(feeTier) === DYNAMIC_FEE_FLAG;
+}
+
+// Reads the `fee` field of every PoolManager Swap event for `poolId` in the
+// block range, in hundredths of a bip, keyed by `${txHash}-${logIndex}`.
+// This is the whole swap fee, protocol fee included.
+export async function fetchSwapEventFees(rpcUrl, poolManager, poolId, fromBlock, toBlock, blockRange) {
+    const provider = createProvider(rpcUrl);
+
+    try {
+        const events = await fetchPoolEvents(provider, poolManager, SWAP_TOPIC, poolId, fromBlock, toBlock, blockRange);
+        return new Map(events.map(({ log, args }) => [swapKey(log.transactionHash, log.index), Number(args.fee)]));
+    } finally {
+        provider.destroy();
+    }
+}
+
+// The protocol fee packs the zero-for-one fee in its low 12 bits and the
+// one-for-zero fee in the next 12.
+export function directionalProtocolFee(protocolFee, zeroForOne) {
+    return zeroForOne ? protocolFee & 0xfff : protocolFee >> 12;
+}
+
+// The share of a swap's fee that goes to liquidity providers. The PoolManager
+// charges `protocolFee + lpFee - protocolFee * lpFee / 1e6` and keeps the
+// protocol fee, so providers get the rest.
+export function lpFeeRate(swapFee, protocolFee) {
+    return (swapFee - protocolFee) / 1e6;
+}
+
+// Returns `(blockNumber, logIndex) => protocolFee`, the pool's packed protocol
+// fee at that point of the block range: its value before the range, then its
+// ProtocolFeeUpdated events in order.
+export async function fetchProtocolFees(rpcUrl, poolManager, poolId, fromBlock, toBlock, blockRange) {
+    const provider = createProvider(rpcUrl);
+
+    try {
+        const initial = await fetchProtocolFee(provider, poolManager, poolId, fromBlock - 1);
+        const updates = (await fetchPoolEvents(provider, poolManager, PROTOCOL_FEE_UPDATED_TOPIC, poolId, fromBlock, toBlock, blockRange))
+            .map(({ log, args }) => ({ block: log.blockNumber, logIndex: log.index, protocolFee: Number(args.protocolFee) }))
+            .sort((a, b) => a.block - b.block || a.logIndex - b.logIndex);
+
+        return (blockNumber, logIndex) => updates.findLast(update =>
+            update.block < blockNumber || (update.block === blockNumber && update.logIndex < logIndex)
+        )?.protocolFee ?? initial;
+    } finally {
+        provider.destroy();
+    }
+}
+
+// Returns `swap => ({ rate, exact })`. Static-fee pools use their fee tier.
+// Dynamic-fee pools use the fee from the swap's own event, less the protocol
+// fee, when the chain has an RPC endpoint and PoolManager address, and the
+// pool's `estimatedFee` otherwise. Swaps whose protocol fee cannot be read
+// keep the whole swap fee and count as estimated.
+export async function buildFeeResolver(chain, pool, poolConfig, swaps) {
+    const estimatedRate = (poolConfig.estimatedFee ?? DEFAULT_ESTIMATED_FEE) / 1e6;
+
+    if (!pool.feeTier) {
+        return () => ({ rate: estimatedRate, exact: false });
+    }
+
+    if (!isDynamicFee(pool.feeTier)) {
+        const rate = parseInt(pool.feeTier) / 1e6;
+        return () => ({ rate, exact: true });
+    }
+
+    if (!chain.rpcUrl || !chain.poolManager || swaps.length === 0) {
+        return () => ({ rate: estimatedRate, exact: false });
+    }
+
+    let fromBlock = Infinity;
+    let toBlock = 0;
+    for (const swap of swaps) {
+        const block = Number(swap.transaction.blockNumber);
+        fromBlock = Math.min(fromBlock, block);
+        toBlock = Math.max(toBlock, block);
+    }
+
+    // Swaps read straight from event logs already carry their fee
+    let eventFee = (swap) => swap.fee;
+    if (!swaps.every(swap => swap.fee !== undefined)) {
+        try {
+            const eventFees = await fetchSwapEventFees(
+                chain.rpcUrl,
+                chain.poolManager,
+                pool.id,
+                fromBlock,
+                toBlock,
+                chain.logBlockRange
+            );
+            eventFee = (swap) => eventFees.get(swapKey(swap.transaction.id, swap.logIndex));
+        } catch (error) {
+            console.warn(`   ⚠️  ${chain.name}: could not read Swap event fees for ${pool.id}, estimating: ${error.message}`);
+            return () => ({ rate: estimatedRate, exact: false });
+        }
+    }
+
+    let protocolFeeAt = null;
+    try {
+        protocolFeeAt = await fetchProtocolFees(
+            chain.rpcUrl,
+            chain.poolManager,
+            pool.id,
+            fromBlock,
+            toBlock,
+            chain.logBlockRange
+        );
+    } catch (error) {
+        console.warn(`   ⚠️  ${chain.name}: could not read the protocol fee of ${pool.id}, counting whole swap fees as estimated: ${error.message}`);
+    }
+
+    return (swap) => {
+        const fee = eventFee(swap);
+        if (fee === undefined) {
+            return { rate: estimatedRate, exact: false };
+        }
+        if (!protocolFeeAt) {
+            return { rate: fee / 1e6, exact: false };
+        }
+
+        // Pool-side amounts: the pool takes token0 in on zero-for-one swaps
+        const protocolFee = directionalProtocolFee(
+            protocolFeeAt(Number(swap.transaction.blockNumber), Number(swap.logIndex)),
+            parseFloat(swap.amount0) > 0
+        );
+        return { rate: lpFeeRate(fee, protocolFee), exact: true };
+    };
+}
@@ -0,0 +1,130 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { toBeHex, zeroPadValue } from 'ethers';
+import { POOL_MANAGER_INTERFACE } from './poolManager.js';
+import { buildFeeResolver, DYNAMIC_FEE_FLAG } from './fees.js';
+
+const POOL_MANAGER = '0x000000000004444c5dc75cb358380d2e3de08a90';
+const POOL_ID = `0x${'34'.repeat(32)}`;
+const SENDER = '0x00000000000000000000000000000000000000bb';
+
+// The protocol fee is off until block 150, then 500 pips on zero-for-one
+// swaps and none on one-for-zero swaps
+const PROTOCOL_FEE = 500;
+const LP_FEE = 2500;
+// What the PoolManager charges, and the Swap event reports, with it on
+const SWAP_FEE = PROTOCOL_FEE + LP_FEE - Math.floor(PROTOCOL_FEE * LP_FEE / 1e6);
+
+function eventLog(name, values, blockNumber, logIndex) {
+    const { data, topics } = POOL_MANAGER_INTERFACE.encodeEventLog(name, values);
+    return {
+        address: POOL_MANAGER,
+        blockNumber: toBeHex(blockNumber),
+        blockHash: zeroPadValue(toBeHex(blockNumber), 32),
+        transactionHash: zeroPadValue(toBeHex(blockNumber * 1000 + logIndex), 32),
+        transactionIndex: '0x0',
+        logIndex: toBeHex(logIndex),
+        removed: false,
+        data,
+        topics,
+    };
+}
+
+// Pool-side amounts, as the subgraph reports them
+const SWAPS = [
+    { block: 100, logIndex: 1, amount0: '1', fee: LP_FEE },
+    { block: 200, logIndex: 4, amount0: '1', fee: SWAP_FEE },
+    { block: 200, logIndex: 5, amount0: '-1', fee: LP_FEE },
+];
+
+const LOGS = [
+    ...SWAPS.map(({ block, logIndex, amount0, fee }) => {
+        const delta = -BigInt(amount0) * 10n ** 18n;
+        return eventLog('Swap', [POOL_ID, SENDER, delta, -delta, 2n ** 96n, 10n ** 18n, 0, fee], block, logIndex);
+    }),
+    eventLog('ProtocolFeeUpdated', [POOL_ID, PROTOCOL_FEE], 150, 0),
+];
+
+function subgraphSwap({ block, logIndex, amount0 }) {
+    return {
+        logIndex: String(logIndex),
+        amount0,
+        transaction: { id: zeroPadValue(toBeHex(block * 1000 + logIndex), 32), blockNumber: String(block) },
+    };
+}
+
+// Answers getLogs from LOGS and extsload with a slot0 whose protocol fee is
+// zero, or fails every eth_call when `archive` is false
+function startMockRpc({ archive = true } = {}) {
+    const call = ({ method, params }) => {
+        switch (method) {
+            case 'eth_chainId':
+                return '0x1';
+            case 'eth_getLogs': {
+                const [{ topics, fromBlock, toBlock }] = params;
+                return LOGS.filter(log =>
+                    log.topics[0] === topics[0]
+                    && log.topics[1] === topics[1]
+                    && Number(log.blockNumber) >= Number(fromBlock)
+                    && Number(log.blockNumber) <= Number(toBlock)
+                );
+            }
+            case 'eth_call':
+                if (!archive) throw new Error('missing trie node');
+                return zeroPadValue(toBeHex(2n ** 96n), 32);
+            default:
+                throw new Error(`unexpected method ${method}`);
+        }
+    };
+    const respond = (request) => {
+        try {
+            return { jsonrpc: '2.0', id: request.id, result: call(request) };
+        } catch (error) {
+            return { jsonrpc: '2.0', id: request.id, error: { code: -32000, message: error.message } };
+        }
+    };
+
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            const request = JSON.parse(body);
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(Array.isArray(request) ? request.map(respond) : respond(request)));
+        });
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => resolve({ server, url: `http://127.0.0.1:${server.address().port}` }));
+    });
+}
+
+const POOL = { id: POOL_ID, feeTier: String(DYNAMIC_FEE_FLAG) };
+
+test('takes the protocol fee out of dynamic Swap event fees', async (t) => {
+    const { server, url } = await startMockRpc();
+    t.after(() => server.close());
+
+    const chain = { name: 'TEST', rpcUrl: url, poolManager: POOL_MANAGER, logBlockRange: 1000 };
+    const swaps = SWAPS.map(subgraphSwap);
+    const resolveFee = await buildFeeResolver(chain, POOL, {}, swaps);
+
+    const [before, zeroForOne, oneForZero] = swaps.map(resolveFee);
+    assert.deepEqual(before, { rate: LP_FEE / 1e6, exact: true });
+    // The providers' share of the swap fee, a rounding step under the LP fee
+    assert.deepEqual(zeroForOne, { rate: (SWAP_FEE - PROTOCOL_FEE) / 1e6, exact: true });
+    assert.ok(Math.abs(zeroForOne.rate * 1e6 - LP_FEE * (1 - PROTOCOL_FEE / 1e6)) < 1);
+    assert.deepEqual(oneForZero, { rate: LP_FEE / 1e6, exact: true });
+});
+
+test('counts whole swap fees as estimated when the protocol fee cannot be read', async (t) => {
+    const { server, url } = await startMockRpc({ archive: false });
+    t.after(() => server.close());
+
+    const chain = { name: 'TEST', rpcUrl: url, poolManager: POOL_MANAGER, logBlockRange: 1000 };
+    const swaps = SWAPS.map(subgraphSwap);
+    const resolveFee = await buildFeeResolver(chain, POOL, {}, swaps);
+
+    assert.deepEqual(resolveFee(swaps[1]), { rate: SWAP_FEE / 1e6, exact: false });
+});
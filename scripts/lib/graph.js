@@ -0,0 +1,240 @@
+import fetch from 'node-fetch';
+
+export class ConcurrencyLimiter {
+    constructor(limit) {
+        this.limit = limit;
+        this.running = 0;
+        this.queue = [];
+    }
+
+    async run(fn) {
+        while (this.running >= this.limit) {
+            await new Promise(resolve => this.queue.push(resolve));
+        }
+
+        this.running++;
+        try {
+            return await fn();
+        } finally {
+            this.running--;
+            const resolve = this.queue.shift();
+            if (resolve) resolve();
+        }
+    }
+
+    // Waiters re-check the limit when woken, so raising it wakes as many as
+    // now fit and lowering it only takes effect as running tasks finish.
+    setLimit(limit) {
+        this.limit = limit;
+        for (let free = limit - this.running; free > 0 && this.queue.length > 0; free--) {
+            this.queue.shift()();
+        }
+    }
+}
+
+export const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const SCHEDULER_DEFAULTS = {
+    maxAttempts: 5,
+    baseDelayMs: 1000,
+    maxDelayMs: 30000,
+    timeoutMs: 30000,
+    initialConcurrency: 8,
+    minConcurrency: 1,
+    maxConcurrency: 32,
+    // Queries allowed per API key in one run; null for no limit
+    budget: null,
+};
+
+// Concurrency is lowered at most once per cooldown, so a burst of requests
+// that were all in flight when the gateway pushed back counts once.
+const THROTTLE_COOLDOWN_MS = 2000;
+
+// GraphQL errors worth retrying: the gateway could not find a healthy indexer
+// or the indexer timed out. Anything else (a bad query, a missing field)
+// fails the same way again and would only cost another query.
+const TRANSIENT_ERRORS = /bad indexers|indexer not available|timeout|timed out|too many requests|rate limit/i;
+
+let options = { ...SCHEDULER_DEFAULTS };
+const schedulers = new Map();
+const endpoints = new Map();
+
+export function configureGraphRequests(overrides) {
+    options = {
+        ...options,
+        ...Object.fromEntries(Object.entries(overrides).filter(([, value]) => value !== undefined)),
+    };
+}
+
+// Gateway URLs carry the API key in their path (/api/<key>/subgraphs/id/<id>),
+// so everything before /subgraphs/ identifies the key. Other endpoints (e.g.
+// a hosted or local graph-node) each get their own scheduler.
+function budgetKey(url) {
+    return url.split('/subgraphs/')[0];
+}
+
+// Endpoint URLs for logs and stats, without the API key
+export function endpointName(url) {
+    return url.replace(/\/api\/[^/]+(\/|$)/, '/api/…$1');
+}
+
+// Requests through one API key share a concurrency limit that grows by one
+// after a full round of successes and halves when the gateway throttles or
+// fails (AIMD), and a budget of queries for the run.
+function schedulerFor(url) {
+    const key = budgetKey(url);
+    if (!schedulers.has(key)) {
+        schedulers.set(key, {
+            name: endpointName(key),
+            limiter: new ConcurrencyLimiter(options.initialConcurrency),
+            spent: 0,
+            successes: 0,
+            lowestLimit: options.initialConcurrency,
+            lastThrottle: 0,
+        });
+    }
+    return schedulers.get(key);
+}
+
+function statsFor(url) {
+    if (!endpoints.has(url)) {
+        endpoints.set(url, { requests: 0, failed: 0, retries: 0, throttled: 0, totalLatencyMs: 0, maxLatencyMs: 0 });
+    }
+    return endpoints.get(url);
+}
+
+function onSuccess(scheduler) {
+    scheduler.successes++;
+    if (scheduler.successes >= scheduler.limiter.limit && scheduler.limiter.limit < options.maxConcurrency) {
+        scheduler.limiter.setLimit(scheduler.limiter.limit + 1);
+        scheduler.successes = 0;
+    }
+}
+
+function onThrottle(scheduler, reason) {
+    scheduler.successes = 0;
+    if (Date.now() - scheduler.lastThrottle < THROTTLE_COOLDOWN_MS) return;
+
+    scheduler.lastThrottle = Date.now();
+    const limit = Math.max(options.minConcurrency, Math.floor(scheduler.limiter.limit / 2));
+    if (limit < scheduler.limiter.limit) {
+        scheduler.limiter.setLimit(limit);
+        scheduler.lowestLimit = Math.min(scheduler.lowestLimit, limit);
+        console.warn(`   ⚠️  ${scheduler.name}: ${reason}, concurrency lowered to ${limit}`);
+    }
+}
+
+function requestError(message, { retryable = false, throttle = false, retryAfterMs = null } = {}) {
+    return Object.assign(new Error(message), { retryable, throttle, retryAfterMs });
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function retryAfterMs(header) {
+    if (!header) return null;
+    const seconds = Number(header);
+    const ms = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(header) - Date.now();
+    return Number.isFinite(ms) ? Math.max(ms, 0) : null;
+}
+
+// Exponential backoff with full jitter, unless the server said how long to wait
+function backoffMs(attempt, error) {
+    if (error.retryAfterMs !== null) return error.retryAfterMs;
+    return Math.random() * Math.min(options.maxDelayMs, options.baseDelayMs * 2 ** (attempt - 1));
+}
+
+async function sendRequest(url, query, variables) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), options.timeoutMs);
+
+    try {
+        let res;
+        let json;
+        try {
+            res = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ query, variables }),
+                signal: controller.signal,
+            });
+            if (res.status === 429 || res.status >= 500) {
+                throw requestError(`HTTP ${res.status}`, { retryable: true, throttle: true, retryAfterMs: retryAfterMs(res.headers.get('retry-after')) });
+            }
+            json = await res.json();
+        } catch (error) {
+            if (error.retryable !== undefined) throw error;
+            const timedOut = error.name === 'AbortError';
+            const message = timedOut ? `Request timed out after ${options.timeoutMs}ms` : (res ? `HTTP ${res.status}: ${error.message}` : error.message);
+            throw requestError(message, { retryable: true, throttle: timedOut });
+        }
+
+        if (json.errors) {
+            const errorMsg = JSON.stringify(json.errors);
+            const transient = TRANSIENT_ERRORS.test(errorMsg);
+            throw requestError(errorMsg, { retryable: transient, throttle: transient });
+        }
+        return json.data;
+    } finally {
+        clearTimeout(timeout);
+    }
+}
+
+// Every subgraph query goes through here: it waits for a slot under the API
+// key's concurrency limit, spends one query of its budget per attempt, and
+// retries network errors, timeouts, 429s, 5xx and transient indexer errors.
+export async function graphRequest(url, query, variables) {
+    const scheduler = schedulerFor(url);
+    const stats = statsFor(url);
+
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await scheduler.limiter.run(async () => {
+                if (options.budget !== null && scheduler.spent >= options.budget) {
+                    throw requestError(`Query budget of ${options.budget} for ${scheduler.name} is used up`);
+                }
+                scheduler.spent++;
+                stats.requests++;
+
+                const started = Date.now();
+                try {
+                    const data = await sendRequest(url, query, variables);
+                    onSuccess(scheduler);
+                    return data;
+                } finally {
+                    const latency = Date.now() - started;
+                    stats.totalLatencyMs += latency;
+                    stats.maxLatencyMs = Math.max(stats.maxLatencyMs, latency);
+                }
+            });
+        } catch (error) {
+            if (error.throttle) {
+                stats.throttled++;
+                onThrottle(scheduler, error.message.slice(0, 80));
+            }
+            if (!error.retryable || attempt >= options.maxAttempts) {
+                stats.failed++;
+                throw error;
+            }
+            stats.retries++;
+            await sleep(backoffMs(attempt, error));
+        }
+    }
+}
+
+// Per-endpoint request counts and latency, and per API key the queries spent
+// and the concurrency the scheduler settled on, for the end-of-run report.
+export function graphRequestStats() {
+    return {
+        endpoints: [...endpoints.entries()].map(([url, stats]) => ({
+            endpoint: endpointName(url),
+            ...stats,
+            avgLatencyMs: stats.requests > 0 ? Math.round(stats.totalLatencyMs / stats.requests) : 0,
+        })),
+        keys: [...schedulers.values()].map(scheduler => ({
+            name: scheduler.name,
+            spent: scheduler.spent,
+            budget: options.budget,
+            concurrency: scheduler.limiter.limit,
+            lowestConcurrency: scheduler.lowestLimit,
+        })),
+    };
+}
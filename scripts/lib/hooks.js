@@ -0,0 +1,63 @@
+import fs from 'fs';
+import { ZeroAddress } from 'ethers';
+
+const REGISTRY_VERSION = 1;
+
+// A V4 hook's permissions are the low 14 bits of its address (Hooks.sol):
+// the PoolManager only calls the hook functions whose bit is set.
+export const HOOK_FLAGS = [
+    { name: 'beforeInitialize', bit: 13 },
+    { name: 'afterInitialize', bit: 12 },
+    { name: 'beforeAddLiquidity', bit: 11 },
+    { name: 'afterAddLiquidity', bit: 10 },
+    { name: 'beforeRemoveLiquidity', bit: 9 },
+    { name: 'afterRemoveLiquidity', bit: 8 },
+    { name: 'beforeSwap', bit: 7 },
+    { name: 'afterSwap', bit: 6 },
+    { name: 'beforeDonate', bit: 5 },
+    { name: 'afterDonate', bit: 4 },
+    { name: 'beforeSwapReturnDelta', bit: 3 },
+    { name: 'afterSwapReturnDelta', bit: 2 },
+    { name: 'afterAddLiquidityReturnDelta', bit: 1 },
+    { name: 'afterRemoveLiquidityReturnDelta', bit: 0 },
+];
+
+export function decodeHookFlags(address) {
+    const bits = Number(BigInt(address) & 0x3fffn);
+    return HOOK_FLAGS.filter(({ bit }) => bits & (1 << bit)).map(({ name }) => name);
+}
+
+// Hooks without a registry category are grouped by what they can do: take a
+// cut of swaps or liquidity changes (return deltas), run on swaps, or only
+// on liquidity and lifecycle events.
+function flagCategory(flags) {
+    if (flags.some(flag => flag.endsWith('ReturnDelta'))) return 'Custom accounting';
+    if (flags.includes('beforeSwap') || flags.includes('afterSwap')) return 'Swap hook';
+    return 'Liquidity hook';
+}
+
+export function loadHookRegistry(file) {
+    const registry = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (registry.version !== REGISTRY_VERSION) {
+        throw new Error(`${file}: unsupported registry version ${registry.version}`);
+    }
+    return registry;
+}
+
+// Pool metadata for a pool's hook, or null for hookless pools (and V2/V3
+// pools, which have none).
+export function describeHooks(address, registry, chainName) {
+    if (!address || address === ZeroAddress) return null;
+
+    const hooks = address.toLowerCase();
+    const entry = Object.entries(registry.chains[chainName] || {})
+        .find(([registered]) => registered.toLowerCase() === hooks)?.[1];
+    const flags = decodeHookFlags(hooks);
+
+    return {
+        address: hooks,
+        label: entry?.label ?? null,
+        category: entry?.category ?? flagCategory(flags),
+        flags,
+    };
+}
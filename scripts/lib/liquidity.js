@@ -0,0 +1,39 @@
+import { dayKey } from './store.js';
+
+const DAYS_PER_YEAR = 365;
+
+// Sets each day's closing TVL from the pool's day data. Days with TVL but no
+// swaps are added with zero volume, so quiet days still count towards the
+// pool's average liquidity.
+export function addTvlHistory(dailyData, tvlHistory) {
+    const days = new Map(dailyData.map(day => [dayKey(day.timestamp), day]));
+
+    for (const { date, tvlUSD } of tvlHistory) {
+        const key = dayKey(date);
+        if (days.has(key)) {
+            days.get(key).tvl = tvlUSD;
+        } else {
+            days.set(key, { timestamp: date, volume: 0, fees: 0, estimatedFees: 0, tvl: tvlUSD });
+        }
+    }
+
+    return [...days.values()];
+}
+
+// Average TVL over the days that have it, with the fees those days earned
+// annualized into a fee APR and their volume as a multiple of TVL (turnover).
+// Both are fractions: 0.12 is a 12% APR.
+export function liquidityStats(days) {
+    const withTvl = days.filter(day => day.tvl > 0);
+    if (withTvl.length === 0) return null;
+
+    const tvl = withTvl.reduce((sum, day) => sum + day.tvl, 0) / withTvl.length;
+    const fees = withTvl.reduce((sum, day) => sum + day.fees, 0);
+    const volume = withTvl.reduce((sum, day) => sum + day.volume, 0);
+
+    return {
+        tvl,
+        feeApr: fees / withTvl.length * DAYS_PER_YEAR / tvl,
+        turnover: volume / tvl,
+    };
+}
@@ -0,0 +1,159 @@
+import fs from 'fs';
+
+// Version of uniswap_data.json's layout, checked against uniswap_data.schema.json
+export const OUTPUT_VERSION = 1;
+
+export function loadSchema(file) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+}
+
+// Validates against the subset of JSON Schema the output schema uses: type,
+// const, enum, required, properties, additionalProperties, items, allOf,
+// minimum, pattern and local $refs. Other keywords (format, description)
+// are informational. Returns one message per problem.
+function validateSchema(value, schema, root, at, problems) {
+    if (schema.$ref) {
+        const def = schema.$ref.replace('#/', '').split('/').reduce((node, key) => node[key], root);
+        validateSchema(value, def, root, at, problems);
+        return;
+    }
+    for (const part of schema.allOf ?? []) {
+        validateSchema(value, part, root, at, problems);
+    }
+
+    const actual = typeOf(value);
+    if (schema.type) {
+        const allowed = [schema.type].flat();
+        if (!allowed.includes(actual) && !(actual === 'integer' && allowed.includes('number'))) {
+            problems.push(`${at}: expected ${allowed.join(' or ')}, got ${actual}`);
+            return;
+        }
+    }
+    if (value === null) return;
+
+    if ('const' in schema && value !== schema.const) {
+        problems.push(`${at}: expected ${JSON.stringify(schema.const)}, got ${JSON.stringify(value)}`);
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        problems.push(`${at}: expected one of ${schema.enum.join(', ')}, got ${JSON.stringify(value)}`);
+    }
+    if (schema.minimum !== undefined && typeof value === 'number' && value < schema.minimum) {
+        problems.push(`${at}: ${value} is below ${schema.minimum}`);
+    }
+    if (schema.pattern && typeof value === 'string' && !new RegExp(schema.pattern).test(value)) {
+        problems.push(`${at}: "${value}" does not match ${schema.pattern}`);
+    }
+
+    if (actual === 'array' && schema.items) {
+        value.forEach((item, index) => validateSchema(item, schema.items, root, `${at}[${index}]`, problems));
+    }
+    if (actual === 'object') {
+        for (const key of schema.required ?? []) {
+            if (!(key in value)) problems.push(`${at}: missing "${key}"`);
+        }
+        for (const [key, item] of Object.entries(value)) {
+            if (schema.properties?.[key]) {
+                validateSchema(item, schema.properties[key], root, `${at}.${key}`, problems);
+            } else if (typeof schema.additionalProperties === 'object') {
+                validateSchema(item, schema.additionalProperties, root, `${at}.${key}`, problems);
+            }
+        }
+    }
+}
+
+// Schema problems plus the cross-references the schema cannot express: every
+// pool with a series has metadata and a status entry.
+export function validateOutput(output, schema) {
+    const problems = [];
+    validateSchema(output, schema, schema, '$', problems);
+    if (problems.length > 0) return problems;
+
+    for (const [chain, pools] of Object.entries(output.chains)) {
+        for (const poolId of Object.keys(pools)) {
+            if (!output.poolMetadata[chain]?.[poolId]) problems.push(`${chain} ${poolId}: has a series but no poolMetadata`);
+            if (!output.status[chain]?.pools[poolId]) problems.push(`${chain} ${poolId}: has a series but no status`);
+        }
+    }
+    return problems;
+}
+
+// The output a run is about to replace, when it is of the current version and
+// valid; anything else is not carried over.
+export function loadPreviousOutput(file, schema) {
+    if (!fs.existsSync(file)) return null;
+
+    let previous;
+    try {
+        previous = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        console.warn(`⚠️  ${file} is not valid JSON, nothing carried over from it: ${error.message}`);
+        return null;
+    }
+    if (previous.version !== OUTPUT_VERSION || validateOutput(previous, schema).length > 0) {
+        console.warn(`⚠️  ${file} is not a valid version ${OUTPUT_VERSION} output, nothing carried over from it`);
+        return null;
+    }
+    return previous;
+}
+
+const POOL_SECTIONS = ['chains', 'daily', 'hourly', 'poolMetadata', 'coverage', 'anomalies'];
+
+// `anomalies` is optional, so older outputs may not have it
+function copyPool(output, previous, chain, poolId) {
+    for (const section of POOL_SECTIONS) {
+        if (previous[section]?.[chain]?.[poolId] !== undefined) {
+            output[section][chain] ??= {};
+            output[section][chain][poolId] = previous[section][chain][poolId];
+        }
+    }
+}
+
+// Keeps the last good data where this run has none: chains the run did not
+// fetch (not selected, or no reachable endpoint) are copied whole with their
+// old status, and pools that failed keep their previous series, as do the
+// unselected pools of `partialChains`. `chainNames` limits this to chains
+// still in the config.
+export function carryOver(output, previous, chainNames, partialChains) {
+    if (!previous) return;
+
+    for (const [chain, previousStatus] of Object.entries(previous.status)) {
+        if (!chainNames.includes(chain)) continue;
+
+        const status = output.status[chain];
+        if (!status) {
+            output.status[chain] = previousStatus;
+            Object.keys(previousStatus.pools).forEach(poolId => copyPool(output, previous, chain, poolId));
+            if (previous.routes[chain]) output.routes[chain] = previous.routes[chain];
+            if (previous.discovery[chain]) output.discovery[chain] = previous.discovery[chain];
+            continue;
+        }
+
+        if (partialChains.includes(chain)) {
+            for (const [poolId, before] of Object.entries(previousStatus.pools)) {
+                if (status.pools[poolId]) continue;
+                status.pools[poolId] = before;
+                copyPool(output, previous, chain, poolId);
+            }
+        }
+
+        for (const [poolId, poolStatus] of Object.entries(status.pools)) {
+            const before = previousStatus.pools[poolId];
+            if (poolStatus.status !== 'failed' || !before || !previous.chains[chain]?.[poolId]) continue;
+
+            copyPool(output, previous, chain, poolId);
+            poolStatus.window = before.window;
+            poolStatus.lastSuccess = before.lastSuccess;
+        }
+        if (!output.routes[chain] && previous.routes[chain]) {
+            output.routes[chain] = previous.routes[chain];
+        }
+        status.lastSuccess ??= previousStatus.lastSuccess;
+    }
+}
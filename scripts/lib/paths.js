@@ -0,0 +1,55 @@
+import fs from 'fs';
+
+const REGISTRY_VERSION = 1;
+
+// Entry points a swap can come through: the Universal Router, a known
+// aggregator, another labelled contract (position managers, hooks, ...) or
+// any other contract that unlocks the PoolManager itself.
+export const EXECUTION_PATHS = ['universalRouter', 'aggregator', 'otherContract', 'direct'];
+
+export function loadRegistry(file) {
+    const registry = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (registry.version !== REGISTRY_VERSION) {
+        throw new Error(`${file}: unsupported registry version ${registry.version}`);
+    }
+
+    for (const [chain, entries] of Object.entries(registry.chains)) {
+        for (const [address, entry] of Object.entries(entries)) {
+            if (!EXECUTION_PATHS.includes(entry.type) || entry.type === 'direct') {
+                throw new Error(`${file}: ${chain} ${address} has unknown type "${entry.type}"`);
+            }
+        }
+    }
+    return registry;
+}
+
+export function createPathClassifier(registry, chainName) {
+    const entries = new Map(
+        Object.entries(registry.chains[chainName] || {})
+            .map(([address, entry]) => [address.toLowerCase(), entry])
+    );
+
+    const lookup = (address) => (address ? entries.get(address.toLowerCase()) : undefined);
+
+    // The first registered address of: the contract the transaction called
+    // (`transaction.to`, so an aggregator routing through the Universal
+    // Router counts as the aggregator), the PoolManager caller (`sender`),
+    // and the signer (`origin`, for solver and filler accounts that call
+    // through unlisted contracts of their own). Subgraph swaps carry no
+    // `transaction.to`.
+    return (swap) => {
+        const entry = lookup(swap.transaction?.to) ?? lookup(swap.sender) ?? lookup(swap.origin);
+        return entry ? entry.type : 'direct';
+    };
+}
+
+export function emptyPathBreakdown() {
+    return Object.fromEntries(EXECUTION_PATHS.map(name => [name, { volume: 0, fees: 0 }]));
+}
+
+export function addPathBreakdown(target, source) {
+    for (const name of EXECUTION_PATHS) {
+        target[name].volume += source?.[name]?.volume ?? 0;
+        target[name].fees += source?.[name]?.fees ?? 0;
+    }
+}
@@ -0,0 +1,55 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createPathClassifier } from './paths.js';
+
+const UNIVERSAL_ROUTER = '0x66a9893cc07d91d95644aedd05d03f95e1dba8af';
+const AGGREGATOR = '0x111111125421ca6dc452d289314280a0f8842a65';
+const POSITION_MANAGER = '0xbd216513d74c8cf14cf4747e6aaa6420ff64ee9e';
+const SOLVER = '0x00000000000000000000000000000000000000ee';
+const UNLISTED = '0x00000000000000000000000000000000000000aa';
+const USER = '0x00000000000000000000000000000000000000bb';
+
+const REGISTRY = {
+    version: 1,
+    chains: {
+        MAINNET: {
+            // Registry files are not always lowercase
+            '0x66a9893cC07D91D95644AEDD05D03f95e1dBA8Af': { type: 'universalRouter', label: 'Universal Router' },
+            [AGGREGATOR]: { type: 'aggregator', label: '1inch Router v6' },
+            [POSITION_MANAGER]: { type: 'otherContract', label: 'V4 PositionManager' },
+            [SOLVER]: { type: 'aggregator', label: 'Solver' },
+        },
+    },
+};
+
+const classify = createPathClassifier(REGISTRY, 'MAINNET');
+
+function swap(sender, { to, origin = USER } = {}) {
+    return { sender, origin, transaction: { id: '0x01', blockNumber: '1', ...(to !== undefined && { to }) } };
+}
+
+test('classifies swaps through the Universal Router', () => {
+    assert.equal(classify(swap(UNIVERSAL_ROUTER, { to: UNIVERSAL_ROUTER })), 'universalRouter');
+    // Subgraph swaps have no transaction.to
+    assert.equal(classify(swap(UNIVERSAL_ROUTER)), 'universalRouter');
+});
+
+test('classifies swaps through a known aggregator', () => {
+    assert.equal(classify(swap(AGGREGATOR, { to: AGGREGATOR })), 'aggregator');
+    // The aggregator the user called wins over the router it swaps through
+    assert.equal(classify(swap(UNIVERSAL_ROUTER, { to: AGGREGATOR })), 'aggregator');
+    // A registered signer calling through a contract of its own
+    assert.equal(classify(swap(UNLISTED, { to: UNLISTED, origin: SOLVER })), 'aggregator');
+});
+
+test('classifies swaps through other labelled contracts', () => {
+    assert.equal(classify(swap(POSITION_MANAGER, { to: POSITION_MANAGER })), 'otherContract');
+    // An unlisted contract in front of a labelled one
+    assert.equal(classify(swap(POSITION_MANAGER, { to: UNLISTED })), 'otherContract');
+});
+
+test('classifies swaps from unlisted contracts as direct PoolManager calls', () => {
+    assert.equal(classify(swap(UNLISTED, { to: UNLISTED })), 'direct');
+    assert.equal(classify({ sender: null, origin: null }), 'direct');
+    assert.equal(createPathClassifier(REGISTRY, 'BASE')(swap(UNIVERSAL_ROUTER)), 'direct');
+});
@@ -0,0 +1,76 @@
+import { AbiCoder, Interface, JsonRpcProvider, keccak256, zeroPadValue } from 'ethers';
+import { sleep } from './graph.js';
+
+export const LOG_BLOCK_RANGE = 10000;
+const MAX_LOG_RETRIES = 3;
+
+export const POOL_MANAGER_INTERFACE = new Interface([
+    'event Initialize(bytes32 indexed id, address indexed currency0, address indexed currency1, uint24 fee, int24 tickSpacing, address hooks, uint160 sqrtPriceX96, int24 tick)',
+    'event Swap(bytes32 indexed id, address indexed sender, int128 amount0, int128 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick, uint24 fee)',
+    'event ProtocolFeeUpdated(bytes32 indexed id, uint24 protocolFee)',
+    'function extsload(bytes32 slot) view returns (bytes32)',
+]);
+
+export const INITIALIZE_TOPIC = POOL_MANAGER_INTERFACE.getEvent('Initialize').topicHash;
+export const SWAP_TOPIC = POOL_MANAGER_INTERFACE.getEvent('Swap').topicHash;
+export const PROTOCOL_FEE_UPDATED_TOPIC = POOL_MANAGER_INTERFACE.getEvent('ProtocolFeeUpdated').topicHash;
+
+// The PoolManager keeps its pools mapping in storage slot 6. A pool's first
+// word (slot0) packs sqrtPriceX96 (160 bits), tick (24), protocolFee (24) and
+// lpFee (24), lowest bits first.
+const POOLS_SLOT = 6n;
+const PROTOCOL_FEE_OFFSET = 184n;
+
+export function createProvider(rpcUrl) {
+    return new JsonRpcProvider(rpcUrl, undefined, { staticNetwork: true });
+}
+
+// Matches the subgraph's swap ids, `${txHash}-${logIndex}`.
+export function swapKey(txHash, logIndex) {
+    return `${txHash.toLowerCase()}-${Number(logIndex)}`;
+}
+
+async function getLogsWithRetry(provider, filter) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await provider.getLogs(filter);
+        } catch (error) {
+            if (attempt >= MAX_LOG_RETRIES) throw error;
+            await sleep(1000 * 2 ** attempt);
+        }
+    }
+}
+
+// Reads one PoolManager event for one pool over [fromBlock, toBlock], in
+// `blockRange`-sized getLogs calls so RPC range limits are respected.
+export async function fetchPoolEvents(provider, poolManager, topic, poolId, fromBlock, toBlock, blockRange = LOG_BLOCK_RANGE) {
+    const events = [];
+
+    for (let start = fromBlock; start <= toBlock; start += blockRange) {
+        const logs = await getLogsWithRetry(provider, {
+            address: poolManager,
+            topics: [topic, zeroPadValue(poolId, 32)],
+            fromBlock: start,
+            toBlock: Math.min(start + blockRange - 1, toBlock),
+        });
+
+        for (const log of logs) {
+            events.push({ log, args: POOL_MANAGER_INTERFACE.parseLog(log).args });
+        }
+    }
+
+    return events;
+}
+
+// A pool's packed protocol fee as of `blockTag`, read through `extsload`.
+// Past blocks need an archive node.
+export async function fetchProtocolFee(provider, poolManager, poolId, blockTag) {
+    const slot = keccak256(AbiCoder.defaultAbiCoder().encode(['bytes32', 'uint256'], [zeroPadValue(poolId, 32), POOLS_SLOT]));
+    const result = await provider.call({
+        to: poolManager,
+        data: POOL_MANAGER_INTERFACE.encodeFunctionData('extsload', [slot]),
+        blockTag,
+    });
+    const [word] = POOL_MANAGER_INTERFACE.decodeFunctionResult('extsload', result);
+    return Number((BigInt(word) >> PROTOCOL_FEE_OFFSET) & 0xffffffn);
+}
@@ -0,0 +1,98 @@
+// Pool prices after each swap, as token1 per token0 in token units, and the
+// OHLC candles built from them.
+
+const HOUR_SECONDS = 60 * 60;
+const Q192 = 2 ** 192;
+
+// Hourly candles go into the output for the most recent days only; the full
+// history stays in the chain store.
+export const HOURLY_CANDLE_DAYS = 14;
+
+// V3/V4 swaps carry the pool price they left behind (`sqrtPriceX96`, or the
+// `tick` when the price is missing). V2 swaps carry neither, so they are
+// priced at their own execution price.
+export function swapPrice(swap) {
+    const decimals0 = parseInt(swap.pool.token0?.decimals ?? 0);
+    const decimals1 = parseInt(swap.pool.token1?.decimals ?? 0);
+    const decimalsShift = 10 ** (decimals0 - decimals1);
+
+    if (swap.sqrtPriceX96 && swap.sqrtPriceX96 !== '0') {
+        return Number(BigInt(swap.sqrtPriceX96) ** 2n) / Q192 * decimalsShift;
+    }
+    if (swap.tick !== undefined && swap.tick !== null) {
+        return 1.0001 ** Number(swap.tick) * decimalsShift;
+    }
+
+    const amount0 = Math.abs(parseFloat(swap.amount0));
+    const amount1 = Math.abs(parseFloat(swap.amount1));
+    return amount0 > 0 && amount1 > 0 ? amount1 / amount0 : null;
+}
+
+// Swaps arrive sorted by timestamp only, so open and close are picked by
+// (timestamp, logIndex) rather than by arrival order. V2 swaps without a
+// logIndex fall back to their swapIndex, which orders them the same way
+// within one pair.
+function swapOrder(swap) {
+    return Number(swap.timestamp) * 1e6 + Number(swap.logIndex ?? swap.swapIndex ?? 0);
+}
+
+function addToCandle(candle, price, order) {
+    if (!candle) {
+        return { open: price, high: price, low: price, close: price, swaps: 1, first: order, last: order };
+    }
+
+    if (order < candle.first) {
+        candle.open = price;
+        candle.first = order;
+    }
+    if (order >= candle.last) {
+        candle.close = price;
+        candle.last = order;
+    }
+    candle.high = Math.max(candle.high, price);
+    candle.low = Math.min(candle.low, price);
+    candle.swaps++;
+    return candle;
+}
+
+// Drops the ordering keys, which only matter while swaps are being added
+function finalizeCandle({ open, high, low, close, swaps }) {
+    return { open, high, low, close, swaps };
+}
+
+// Adds one swap to its day's candle and to the candle of its hour.
+export function addSwapPrice(day, swap) {
+    const price = swapPrice(swap);
+    if (!price || !Number.isFinite(price)) return;
+
+    const order = swapOrder(swap);
+    const hour = Number(swap.timestamp) - (Number(swap.timestamp) % HOUR_SECONDS);
+
+    day.price = addToCandle(day.price, price, order);
+    day.hourly ??= {};
+    day.hourly[hour] = addToCandle(day.hourly[hour], price, order);
+}
+
+export function finalizeDayPrices(day) {
+    if (!day.price) return day;
+
+    return {
+        ...day,
+        price: finalizeCandle(day.price),
+        hourly: Object.entries(day.hourly)
+            .map(([timestamp, candle]) => ({ timestamp: Number(timestamp), ...finalizeCandle(candle) }))
+            .sort((a, b) => a.timestamp - b.timestamp),
+    };
+}
+
+// Folds consecutive candles (in time order) into one, e.g. days into a week.
+export function mergeCandles(target, candle) {
+    if (!candle) return target;
+    if (!target) return { ...candle };
+
+    target.high = Math.max(target.high, candle.high);
+    target.low = Math.min(target.low, candle.low);
+    target.close = candle.close;
+    target.swaps += candle.swaps;
+    return target;
+}
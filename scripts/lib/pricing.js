@@ -0,0 +1,95 @@
+import fs from 'fs';
+
+// Fallback USD pricing for swaps the subgraph reports with amountUSD = 0,
+// which it does for tokens outside its whitelist or without a liquid path to ETH.
+
+const PRICE_TABLE_VERSION = 1;
+
+export const DEFAULT_STABLECOINS = ['USDC', 'USDT', 'USDt', 'DAI', 'USDC.e', 'USDbC', 'USDS', 'FDUSD'];
+
+export function loadPriceTable(file) {
+    const table = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (table.version !== PRICE_TABLE_VERSION) {
+        throw new Error(`${file}: unsupported price table version ${table.version}`);
+    }
+    return table;
+}
+
+// A chain's price table entries as lowercased token address -> USD price
+function chainPrices(table, chainName) {
+    return Object.fromEntries(
+        Object.entries(table.chains[chainName] || {}).map(([address, entry]) => [address.toLowerCase(), entry.usd])
+    );
+}
+
+// USD value of a swap from its stablecoin leg; null when neither token is a
+// configured stablecoin.
+export function stablecoinUSD(amount0, amount1, pool, stablecoins) {
+    if (stablecoins.includes(pool.token0.symbol)) return Math.abs(amount0);
+    if (stablecoins.includes(pool.token1.symbol)) return Math.abs(amount1);
+    return null;
+}
+
+// Prices one swap of `pool` from its token amounts. Tried in order: a
+// stablecoin leg, the local price table, and the subgraph's derivedETH times
+// the ETH (native token) price. The last two are prices at fetch time, not at
+// the swap's time, so they are an approximation for older swaps.
+export function createSwapPricer(pool, { chainName, stablecoins, priceTable, ethPriceUSD }) {
+    const tokens = [pool.token0, pool.token1];
+    const listed = chainPrices(priceTable, chainName);
+    const tablePrices = tokens.map(token => listed[token.id?.toLowerCase()] ?? null);
+    const derivedPrices = tokens.map(token => {
+        const derivedETH = parseFloat(token.derivedETH ?? 0);
+        return ethPriceUSD > 0 && derivedETH > 0 ? derivedETH * ethPriceUSD : null;
+    });
+
+    return (swap) => {
+        const amounts = [Math.abs(parseFloat(swap.amount0)), Math.abs(parseFloat(swap.amount1))];
+
+        const stable = stablecoinUSD(amounts[0], amounts[1], pool, stablecoins);
+        if (stable > 0) return { usd: stable, source: 'stablecoin' };
+
+        for (const [source, prices] of [['priceTable', tablePrices], ['derivedETH', derivedPrices]]) {
+            const leg = prices.findIndex(price => price > 0);
+            if (leg !== -1 && amounts[leg] > 0) {
+                return { usd: amounts[leg] * prices[leg], source };
+            }
+        }
+        return { usd: 0, source: null };
+    };
+}
+
+// A swap's USD volume: the subgraph's amountUSD, or `priceSwap`'s fallback
+// when the subgraph left the swap unpriced. `source` is null for subgraph prices.
+export function swapVolumeUSD(swap, priceSwap) {
+    if (swap.amountUSD && swap.amountUSD !== '0') {
+        return { usd: Math.abs(parseFloat(swap.amountUSD)), source: null };
+    }
+    return priceSwap(swap);
+}
+
+export function emptyPricingStats() {
+    return { fallbackVolume: 0, fallbackSwaps: 0, unpricedSwaps: 0, sources: {} };
+}
+
+// `source` is null for swaps the subgraph priced itself
+export function addPricing(stats, volumeUSD, source) {
+    if (volumeUSD === 0) {
+        stats.unpricedSwaps++;
+    } else if (source) {
+        stats.fallbackVolume += volumeUSD;
+        stats.fallbackSwaps++;
+        stats.sources[source] = (stats.sources[source] ?? 0) + volumeUSD;
+    }
+}
+
+export function mergePricingStats(target, source) {
+    if (!source) return;
+
+    target.fallbackVolume += source.fallbackVolume;
+    target.fallbackSwaps += source.fallbackSwaps;
+    target.unpricedSwaps += source.unpricedSwaps;
+    for (const [name, volume] of Object.entries(source.sources)) {
+        target.sources[name] = (target.sources[name] ?? 0) + volume;
+    }
+}
@@ -0,0 +1,274 @@
+export const PAGE_SIZE = 1000;
+
+const POOL_FIELDS = `
+fragment PoolFields on Pool {
+  id
+  token0 {
+    id
+    symbol
+    decimals
+    derivedETH
+  }
+  token1 {
+    id
+    symbol
+    decimals
+    derivedETH
+  }
+  feeTier
+  txCount
+  totalValueLockedUSD
+}
+`;
+
+export const POOL_DETAILS_QUERY = `
+query PoolDetails($poolId: String!) {
+  pool(id: $poolId) {
+    ...PoolFields
+  }
+}
+${POOL_FIELDS}`;
+
+// V4 pools also have a hooks contract; V3's schema has no such field
+export const V4_POOL_DETAILS_QUERY = `
+query V4PoolDetails($poolId: String!) {
+  pool(id: $poolId) {
+    ...PoolFields
+    hooks
+  }
+}
+${POOL_FIELDS}`;
+
+export const TOP_POOLS_BY_TVL_QUERY = `
+query TopPoolsByTvl($first: Int!, $minTvl: BigDecimal!) {
+  pools(
+    first: $first
+    orderBy: totalValueLockedUSD
+    orderDirection: desc
+    where: { totalValueLockedUSD_gte: $minTvl }
+  ) {
+    ...PoolFields
+  }
+}
+${POOL_FIELDS}`;
+
+export const TOP_POOLS_BY_VOLUME_QUERY = `
+query TopPoolsByVolume($first: Int!, $since: Int!) {
+  poolDayDatas(
+    first: $first
+    orderBy: volumeUSD
+    orderDirection: desc
+    where: { date_gte: $since }
+  ) {
+    volumeUSD
+    pool {
+      ...PoolFields
+    }
+  }
+}
+${POOL_FIELDS}`;
+
+// Swaps are walked with an id cursor inside fixed time slices: `skip` gets
+// slow and unreliable past a few thousand rows, and id_gt never misses or
+// repeats a row even when many swaps share a timestamp.
+export const POOL_SWAPS_QUERY = `
+query PoolSwaps($poolId: String!, $from: Int!, $to: Int!, $lastId: ID!) {
+  swaps(
+    first: ${PAGE_SIZE}
+    orderBy: id
+    orderDirection: asc
+    where: {
+      pool: $poolId
+      timestamp_gte: $from
+      timestamp_lt: $to
+      id_gt: $lastId
+    }
+  ) {
+    id
+    timestamp
+    logIndex
+    origin
+    sender
+    transaction {
+      id
+      blockNumber
+    }
+    amount0
+    amount1
+    amountUSD
+    sqrtPriceX96
+    tick
+    pool {
+      id
+      feeTier
+      token0 {
+        decimals
+      }
+      token1 {
+        decimals
+      }
+    }
+  }
+}
+`;
+
+// Price of the chain's native token (ETH on most chains), which tokens'
+// derivedETH is quoted in
+export const BUNDLE_QUERY = `
+query Bundle {
+  bundle(id: "1") {
+    ethPriceUSD
+  }
+}
+`;
+
+// Daily TVL history, walked with a date cursor like the swaps' id cursor
+export const POOL_DAY_DATAS_QUERY = `
+query PoolDayDatas($poolId: String!, $lastDate: Int!) {
+  poolDayDatas(
+    first: ${PAGE_SIZE}
+    orderBy: date
+    orderDirection: asc
+    where: {
+      pool: $poolId
+      date_gt: $lastDate
+    }
+  ) {
+    date
+    tvlUSD
+  }
+}
+`;
+
+// Current price, tick and liquidity for the quote simulator. V3's Pool has no
+// tickSpacing (it follows from the fee tier); V4's does.
+export const POOL_STATE_QUERY = `
+query PoolState($poolId: String!) {
+  pool(id: $poolId) {
+    ...PoolFields
+    sqrtPrice
+    tick
+    liquidity
+  }
+}
+${POOL_FIELDS}`;
+
+export const V4_POOL_STATE_QUERY = `
+query V4PoolState($poolId: String!) {
+  pool(id: $poolId) {
+    ...PoolFields
+    tickSpacing
+    sqrtPrice
+    tick
+    liquidity
+  }
+}
+${POOL_FIELDS}`;
+
+// Only initialized ticks (liquidityGross > 0) matter to the swap loop; they
+// are walked in tick order with a tickIdx cursor.
+export const POOL_TICKS_QUERY = `
+query PoolTicks($poolId: String!, $lastTick: BigInt!) {
+  ticks(
+    first: ${PAGE_SIZE}
+    orderBy: tickIdx
+    orderDirection: asc
+    where: {
+      pool: $poolId
+      tickIdx_gt: $lastTick
+      liquidityGross_gt: "0"
+    }
+  ) {
+    tickIdx
+    liquidityNet
+  }
+}
+`;
+
+// V2 subgraph: pools are `Pair`s and swaps report in/out amounts per token.
+const PAIR_FIELDS = `
+fragment PairFields on Pair {
+  id
+  token0 {
+    id
+    symbol
+    decimals
+    derivedETH
+  }
+  token1 {
+    id
+    symbol
+    decimals
+    derivedETH
+  }
+  txCount
+  reserveUSD
+}
+`;
+
+export const PAIR_DETAILS_QUERY = `
+query PairDetails($poolId: String!) {
+  pair(id: $poolId) {
+    ...PairFields
+  }
+}
+${PAIR_FIELDS}`;
+
+export const PAIR_BUNDLE_QUERY = `
+query PairBundle {
+  bundle(id: "1") {
+    ethPrice
+  }
+}
+`;
+
+export const PAIR_DAY_DATAS_QUERY = `
+query PairDayDatas($poolId: Bytes!, $lastDate: Int!) {
+  pairDayDatas(
+    first: ${PAGE_SIZE}
+    orderBy: date
+    orderDirection: asc
+    where: {
+      pairAddress: $poolId
+      date_gt: $lastDate
+    }
+  ) {
+    date
+    reserveUSD
+  }
+}
+`;
+
+export const PAIR_SWAPS_QUERY = `
+query PairSwaps($poolId: String!, $from: Int!, $to: Int!, $lastId: ID!) {
+  swaps(
+    first: ${PAGE_SIZE}
+    orderBy: id
+    orderDirection: asc
+    where: {
+      pair: $poolId
+      timestamp_gte: $from
+      timestamp_lt: $to
+      id_gt: $lastId
+    }
+  ) {
+    id
+    timestamp
+    logIndex
+    from
+    sender
+    transaction {
+      id
+      blockNumber
+    }
+    amount0In
+    amount1In
+    amount0Out
+    amount1Out
+    amountUSD
+    pair {
+      id
+    }
+  }
+}
+`;
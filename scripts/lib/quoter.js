@@ -0,0 +1,211 @@
+import fs from 'fs';
+import { graphRequest } from './graph.js';
+import { PAGE_SIZE, POOL_STATE_QUERY, POOL_TICKS_QUERY, V4_POOL_STATE_QUERY } from './queries.js';
+import { isDynamicFee } from './fees.js';
+import { DEFAULT_VERSION } from './versions.js';
+import {
+    MAX_SQRT_PRICE,
+    MAX_TICK,
+    MIN_SQRT_PRICE,
+    MIN_TICK,
+    Q96,
+    computeSwapStep,
+    getSqrtPriceAtTick,
+    getTickAtSqrtPrice,
+} from './swapMath.js';
+
+export const QUOTABLE_VERSIONS = ['v3', 'v4'];
+
+// V3 fixes the tick spacing per fee tier (UniswapV3Factory.feeAmountTickSpacing)
+const V3_TICK_SPACINGS = { 100: 1, 500: 10, 3000: 60, 10000: 200 };
+
+// Reads a V3 or V4 pool's current state and all its initialized ticks from
+// the chain's subgraph for that version. The result is plain JSON, so it can
+// be saved and quoted later.
+export async function fetchPoolSnapshot(chain, poolId, version = DEFAULT_VERSION) {
+    if (!QUOTABLE_VERSIONS.includes(version)) {
+        throw new Error(`${version.toUpperCase()} pools cannot be quoted; only ${QUOTABLE_VERSIONS.join(' and ').toUpperCase()} pools have ticks`);
+    }
+    const url = version === DEFAULT_VERSION ? chain.url : chain.versionUrls?.[version];
+    if (!url) {
+        throw new Error(`${chain.name} has no ${version.toUpperCase()} subgraph endpoint`);
+    }
+
+    const data = await graphRequest(url, version === DEFAULT_VERSION ? V4_POOL_STATE_QUERY : POOL_STATE_QUERY, { poolId });
+    if (!data?.pool) {
+        throw new Error(`${version.toUpperCase()} pool ${poolId} not found on ${chain.name}`);
+    }
+    const { pool } = data;
+    const tickSpacing = version === DEFAULT_VERSION ? Number(pool.tickSpacing) : V3_TICK_SPACINGS[pool.feeTier];
+    if (!tickSpacing) {
+        throw new Error(`No tick spacing for ${version.toUpperCase()} pool ${poolId} with fee tier ${pool.feeTier}`);
+    }
+
+    const ticks = [];
+    let lastTick = String(MIN_TICK - 1);
+    for (;;) {
+        const page = await graphRequest(url, POOL_TICKS_QUERY, { poolId, lastTick });
+        if (!page || !Array.isArray(page.ticks)) {
+            throw new Error(`Malformed ticks response for ${poolId}`);
+        }
+        ticks.push(...page.ticks.map(({ tickIdx, liquidityNet }) => ({ tick: Number(tickIdx), liquidityNet })));
+        if (page.ticks.length < PAGE_SIZE) break;
+        lastTick = page.ticks[page.ticks.length - 1].tickIdx;
+    }
+
+    return {
+        chain: chain.name,
+        version,
+        poolId: pool.id,
+        token0: { id: pool.token0.id, symbol: pool.token0.symbol, decimals: Number(pool.token0.decimals) },
+        token1: { id: pool.token1.id, symbol: pool.token1.symbol, decimals: Number(pool.token1.decimals) },
+        fee: Number(pool.feeTier),
+        tickSpacing,
+        sqrtPriceX96: pool.sqrtPrice,
+        tick: pool.tick === null ? null : Number(pool.tick),
+        liquidity: pool.liquidity,
+        ticks,
+        fetchedAt: Math.floor(Date.now() / 1000),
+    };
+}
+
+export function loadSnapshot(file) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// Turns a JSON snapshot into the BigInt state the swap loop works on.
+function poolState(snapshot) {
+    for (const field of ['fee', 'tickSpacing', 'sqrtPriceX96', 'liquidity', 'ticks']) {
+        if (snapshot[field] === undefined || snapshot[field] === null) {
+            throw new Error(`Pool snapshot is missing "${field}"`);
+        }
+    }
+
+    const sqrtPriceX96 = BigInt(snapshot.sqrtPriceX96);
+    if (sqrtPriceX96 < MIN_SQRT_PRICE || sqrtPriceX96 >= MAX_SQRT_PRICE) {
+        throw new Error('Pool snapshot has no valid price (is the pool initialized?)');
+    }
+
+    return {
+        sqrtPriceX96,
+        tick: snapshot.tick ?? getTickAtSqrtPrice(sqrtPriceX96),
+        liquidity: BigInt(snapshot.liquidity),
+        tickSpacing: Number(snapshot.tickSpacing),
+        ticks: snapshot.ticks
+            .map(({ tick, liquidityNet }) => ({ tick: Number(tick), liquidityNet: BigInt(liquidityNet) }))
+            .sort((a, b) => a.tick - b.tick),
+    };
+}
+
+// Mirrors TickBitmap.nextInitializedTickWithinOneWord: the search never leaves
+// the current 256-tick bitmap word, so the swap is split into the same steps
+// (and rounds the same way) as on-chain.
+function nextInitializedTick(ticks, tick, tickSpacing, lte) {
+    const compressed = Math.floor(tick / tickSpacing);
+
+    if (lte) {
+        const wordStart = Math.floor(compressed / 256) * 256;
+        const found = ticks.findLast(t => t.tick / tickSpacing <= compressed && t.tick / tickSpacing >= wordStart);
+        return found
+            ? { tickNext: found.tick, initialized: found }
+            : { tickNext: wordStart * tickSpacing, initialized: null };
+    }
+
+    const wordEnd = Math.floor((compressed + 1) / 256) * 256 + 255;
+    const found = ticks.find(t => t.tick / tickSpacing > compressed && t.tick / tickSpacing <= wordEnd);
+    return found
+        ? { tickNext: found.tick, initialized: found }
+        : { tickNext: wordEnd * tickSpacing, initialized: null };
+}
+
+function spotPrice(sqrtPriceX96) {
+    const ratio = Number(sqrtPriceX96) / Number(Q96);
+    return ratio * ratio;
+}
+
+// Simulates a swap against a pool snapshot with the contracts' integer math.
+// `amount` is in raw token units: the input when `exactInput`, otherwise the
+// output wanted. `feePips` overrides the snapshot's fee tier, which is needed
+// for dynamic-fee pools. V4 protocol fees and hooks are not modelled.
+export function simulateSwap(snapshot, { zeroForOne, amount, exactInput = true, feePips = snapshot.fee }) {
+    if (isDynamicFee(feePips)) {
+        throw new Error('Dynamic-fee pool: pass the fee to quote with');
+    }
+    const fee = Number(feePips);
+    const pool = poolState(snapshot);
+    const sqrtPriceLimit = zeroForOne ? MIN_SQRT_PRICE + 1n : MAX_SQRT_PRICE - 1n;
+
+    const state = {
+        remaining: BigInt(amount),
+        calculated: 0n,
+        sqrtPriceX96: pool.sqrtPriceX96,
+        tick: pool.tick,
+        liquidity: pool.liquidity,
+        feePaid: 0n,
+        ticksCrossed: 0,
+    };
+
+    while (state.remaining > 0n && state.sqrtPriceX96 !== sqrtPriceLimit) {
+        const sqrtPriceStart = state.sqrtPriceX96;
+        let { tickNext, initialized } = nextInitializedTick(pool.ticks, state.tick, pool.tickSpacing, zeroForOne);
+        tickNext = Math.min(Math.max(tickNext, MIN_TICK), MAX_TICK);
+
+        const sqrtPriceNext = getSqrtPriceAtTick(tickNext);
+        const sqrtPriceTarget = zeroForOne
+            ? (sqrtPriceNext < sqrtPriceLimit ? sqrtPriceLimit : sqrtPriceNext)
+            : (sqrtPriceNext > sqrtPriceLimit ? sqrtPriceLimit : sqrtPriceNext);
+
+        const step = computeSwapStep(state.sqrtPriceX96, sqrtPriceTarget, state.liquidity, state.remaining, fee, exactInput);
+        state.sqrtPriceX96 = step.sqrtPriceNext;
+        state.feePaid += step.feeAmount;
+
+        if (exactInput) {
+            state.remaining -= step.amountIn + step.feeAmount;
+            state.calculated += step.amountOut;
+        } else {
+            state.remaining -= step.amountOut;
+            state.calculated += step.amountIn + step.feeAmount;
+        }
+
+        if (state.sqrtPriceX96 === sqrtPriceNext) {
+            if (initialized) {
+                state.liquidity += zeroForOne ? -initialized.liquidityNet : initialized.liquidityNet;
+                if (state.liquidity < 0n) {
+                    throw new Error(`Liquidity went negative crossing tick ${tickNext}: the snapshot's ticks do not match its liquidity`);
+                }
+                state.ticksCrossed++;
+            }
+            state.tick = zeroForOne ? tickNext - 1 : tickNext;
+        } else if (state.sqrtPriceX96 !== sqrtPriceStart) {
+            state.tick = getTickAtSqrtPrice(state.sqrtPriceX96);
+        }
+    }
+
+    const amountIn = exactInput ? BigInt(amount) - state.remaining : state.calculated;
+    const amountOut = exactInput ? state.calculated : BigInt(amount) - state.remaining;
+
+    // Price impact is the execution price net of fees against the pre-trade
+    // spot price, both in the direction of the trade.
+    const priceBefore = spotPrice(pool.sqrtPriceX96);
+    const spotOutPerIn = zeroForOne ? priceBefore : 1 / priceBefore;
+    const netIn = Number(amountIn - state.feePaid);
+    const priceImpact = netIn > 0 ? 1 - Number(amountOut) / netIn / spotOutPerIn : 0;
+
+    return {
+        zeroForOne,
+        exactInput,
+        fee,
+        amountIn,
+        amountOut,
+        feePaid: state.feePaid,
+        filled: state.remaining === 0n,
+        ticksCrossed: state.ticksCrossed,
+        sqrtPriceX96Before: pool.sqrtPriceX96,
+        sqrtPriceX96After: state.sqrtPriceX96,
+        tickBefore: pool.tick,
+        tickAfter: state.tick,
+        priceBefore,
+        priceAfter: spotPrice(state.sqrtPriceX96),
+        priceImpact,
+    };
+}
@@ -0,0 +1,100 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { fetchPoolSnapshot, simulateSwap } from './quoter.js';
+
+const V3_POOL = '0x88e6a0c2ddd26feeb64f039a2c41296fcb3f5640';
+
+function token(symbol, decimals) {
+    return { id: `0x${symbol.toLowerCase().padEnd(40, '0')}`, symbol, decimals: String(decimals), derivedETH: '1' };
+}
+
+// Answers PoolState and PoolTicks queries like a subgraph, and records them
+function startMockSubgraph(pool) {
+    const queries = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            const { query } = JSON.parse(body);
+            queries.push(query);
+            const data = query.includes('ticks(')
+                ? { ticks: [{ tickIdx: '-60', liquidityNet: '1000' }, { tickIdx: '60', liquidityNet: '-1000' }] }
+                : { pool };
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ data }));
+        });
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => resolve({ server, queries, url: `http://127.0.0.1:${server.address().port}` }));
+    });
+}
+
+test('reads V3 pools from the V3 subgraph, with the fee tier\'s tick spacing', async (t) => {
+    const pool = {
+        id: V3_POOL,
+        token0: token('USDC', 6),
+        token1: token('WETH', 18),
+        feeTier: '500',
+        txCount: '1',
+        totalValueLockedUSD: '1',
+        sqrtPrice: '79228162514264337593543950336',
+        tick: '0',
+        liquidity: '1000',
+    };
+    const { server, queries, url } = await startMockSubgraph(pool);
+    t.after(() => server.close());
+
+    const chain = { name: 'TEST', url: 'http://127.0.0.1:1/v4-not-used', versionUrls: { v3: url } };
+    const snapshot = await fetchPoolSnapshot(chain, V3_POOL, 'v3');
+
+    assert.equal(snapshot.version, 'v3');
+    assert.equal(snapshot.tickSpacing, 10);
+    assert.deepEqual(snapshot.ticks, [{ tick: -60, liquidityNet: '1000' }, { tick: 60, liquidityNet: '-1000' }]);
+    // The V3 Pool type has no tickSpacing field
+    assert.ok(queries.every(query => !query.includes('tickSpacing')));
+});
+
+test('refuses versions without a subgraph endpoint or ticks', async () => {
+    const chain = { name: 'TEST', url: null, versionUrls: { v3: null } };
+    await assert.rejects(fetchPoolSnapshot(chain, V3_POOL, 'v3'), /no V3 subgraph endpoint/);
+    await assert.rejects(fetchPoolSnapshot(chain, V3_POOL, 'v2'), /V2 pools cannot be quoted/);
+});
+
+// A 0.3% pool at price 1 with liquidity stepping down on both sides, so an
+// 8e15 one-for-zero swap crosses tick 60 and ends in the next range.
+const LADDER = {
+    fee: 3000,
+    tickSpacing: 60,
+    sqrtPriceX96: '79228162514264337593543950336',
+    tick: 0,
+    liquidity: '2000000000000000000',
+    ticks: [
+        { tick: -120, liquidityNet: '1000000000000000000' },
+        { tick: -60, liquidityNet: '1000000000000000000' },
+        { tick: 60, liquidityNet: '-1000000000000000000' },
+        { tick: 120, liquidityNet: '-1000000000000000000' },
+    ],
+};
+
+// No live quoter is reachable from the tests, so the reference is worked out
+// independently: each range's step in 60-digit decimal arithmetic from
+// 1.0001^30, rounded the way the contracts round. It gives fees of
+// 18080365472871 + 5919634527130 and an output of 7942405907404451.4, which
+// the per-step rounding down may undercut by a wei per range.
+test('simulates a swap across an initialized tick', () => {
+    const quote = simulateSwap(LADDER, { zeroForOne: false, amount: 8n * 10n ** 15n });
+    assert.equal(quote.amountIn, 8n * 10n ** 15n);
+    assert.equal(quote.feePaid, 24000000000001n);
+    const shortfall = 7942405907404451n - quote.amountOut;
+    assert.ok(shortfall >= 0n && shortfall <= 2n, `amountOut ${quote.amountOut}`);
+    assert.equal(quote.ticksCrossed, 1);
+    assert.equal(quote.tickAfter, 99);
+    assert.equal(quote.filled, true);
+
+    // Asking for that output back costs the same input
+    const reverse = simulateSwap(LADDER, { zeroForOne: false, amount: quote.amountOut, exactInput: false });
+    assert.equal(reverse.amountIn, quote.amountIn);
+    assert.equal(reverse.amountOut, quote.amountOut);
+});
@@ -0,0 +1,182 @@
+import { dayKey, startOfDay } from './store.js';
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+export const TOP_PATHS = 10;
+// Paths kept per stored day, so long-tail routes don't bloat the store.
+const STORED_PATHS_PER_DAY = 50;
+
+// Which token a swap took in and which it paid out, and its USD value. Swap
+// amounts are from the pool's side, so the positive amount is the token the
+// pool received.
+function hopFor(swap, pool, volumeUSD) {
+    const zeroIn = parseFloat(swap.amount0) > 0;
+    const tokenIn = zeroIn ? pool.token0 : pool.token1;
+    const tokenOut = zeroIn ? pool.token1 : pool.token0;
+
+    return {
+        poolId: pool.id,
+        logIndex: swap.logIndex == null ? null : Number(swap.logIndex),
+        swapIndex: swap.swapIndex ?? null,
+        tokenIn: tokenIn.id.toLowerCase(),
+        tokenOut: tokenOut.id.toLowerCase(),
+        symbolIn: tokenIn.symbol,
+        symbolOut: tokenOut.symbol,
+        volumeUSD,
+    };
+}
+
+// Hops in log order. V2 swaps the subgraph gave no logIndex only have their
+// swapIndex, which orders them among themselves but not against other pools'
+// log indexes, so such hops sort after the logged ones.
+function compareHops(a, b) {
+    if (a.logIndex !== null && b.logIndex !== null) return a.logIndex - b.logIndex;
+    if (a.logIndex !== null || b.logIndex !== null) return a.logIndex === null ? 1 : -1;
+    return a.swapIndex - b.swapIndex;
+}
+
+// Groups swaps from all of a chain's tracked pools by transaction and chains
+// consecutive hops (by log index) whose output token is the next hop's input
+// into routes A→B→C. Hops through pools that are not tracked are invisible,
+// so such a trade shows up as separate shorter routes. `valueSwap` gives a
+// swap's USD volume, as the pool aggregates count it.
+export function assembleRoutes(swaps, poolsById, valueSwap) {
+    const byTx = new Map();
+
+    for (const swap of swaps) {
+        const pool = poolsById.get(swap.pool.id);
+        if (!pool || !swap.transaction) continue;
+
+        const txHash = swap.transaction.id.toLowerCase();
+        if (!byTx.has(txHash)) {
+            byTx.set(txHash, { timestamp: Number(swap.timestamp), hops: [] });
+        }
+        byTx.get(txHash).hops.push(hopFor(swap, pool, valueSwap(swap)));
+    }
+
+    const routes = [];
+    for (const [txHash, { timestamp, hops }] of byTx) {
+        hops.sort(compareHops);
+
+        let current = null;
+        for (const hop of hops) {
+            const last = current?.hops[current.hops.length - 1];
+            if (last && last.tokenOut === hop.tokenIn) {
+                current.hops.push(hop);
+            } else {
+                current = { txHash, timestamp, hops: [hop] };
+                routes.push(current);
+            }
+        }
+    }
+
+    return routes.map(route => {
+        const first = route.hops[0];
+        const last = route.hops[route.hops.length - 1];
+        return {
+            ...route,
+            path: [first.symbolIn, ...route.hops.map(hop => hop.symbolOut)],
+            poolVolume: route.hops.reduce((sum, hop) => sum + hop.volumeUSD, 0),
+            // The trade is counted once, valued at what went into the first
+            // hop (or what came out of the last one if that is unpriced).
+            userVolume: first.volumeUSD || last.volumeUSD,
+        };
+    });
+}
+
+function emptyRouteDay(timestamp) {
+    return { timestamp, routes: 0, multiHopRoutes: 0, poolVolume: 0, userVolume: 0, hopCounts: {}, paths: {} };
+}
+
+function addRouteDay(target, day) {
+    target.routes += day.routes;
+    target.multiHopRoutes += day.multiHopRoutes;
+    target.poolVolume += day.poolVolume;
+    target.userVolume += day.userVolume;
+    for (const [hops, count] of Object.entries(day.hopCounts)) {
+        target.hopCounts[hops] = (target.hopCounts[hops] ?? 0) + count;
+    }
+    for (const [pathKey, stats] of Object.entries(day.paths)) {
+        target.paths[pathKey] ??= { count: 0, volume: 0 };
+        target.paths[pathKey].count += stats.count;
+        target.paths[pathKey].volume += stats.volume;
+    }
+}
+
+export function calculateRouteStats(routes) {
+    const days = {};
+
+    for (const route of routes) {
+        const key = dayKey(route.timestamp);
+        days[key] ??= emptyRouteDay(route.timestamp);
+
+        const hopCount = route.hops.length;
+        const pathKey = route.path.join(' → ');
+        addRouteDay(days[key], {
+            routes: 1,
+            multiHopRoutes: hopCount > 1 ? 1 : 0,
+            poolVolume: route.poolVolume,
+            userVolume: route.userVolume,
+            hopCounts: { [hopCount]: 1 },
+            paths: { [pathKey]: { count: 1, volume: route.userVolume } },
+        });
+    }
+
+    for (const day of Object.values(days)) {
+        day.paths = Object.fromEntries(
+            Object.entries(day.paths)
+                .sort(([, a], [, b]) => b.count - a.count)
+                .slice(0, STORED_PATHS_PER_DAY)
+        );
+    }
+
+    return Object.values(days);
+}
+
+// Marks every day in [`from`, `until`) of `days` (as calculateRouteStats
+// returns them) as rebuilt without the swaps of `poolIds`, adding empty days
+// where no route was seen. Routes through those pools are missing or split on
+// such days.
+export function markMissingPools(days, from, until, poolIds) {
+    const byKey = new Map(days.map(day => [dayKey(day.timestamp), day]));
+    for (let timestamp = startOfDay(from); timestamp < until; timestamp += DAY_SECONDS) {
+        const key = dayKey(timestamp);
+        if (!byKey.has(key)) {
+            byKey.set(key, emptyRouteDay(timestamp));
+            days.push(byKey.get(key));
+        }
+        byKey.get(key).missingPools = [...poolIds].sort();
+    }
+    return days;
+}
+
+// Weekly route series plus hop-count distribution and most common paths over
+// the whole stored window. `weekOf` maps a day timestamp to its week key.
+// Weeks with days rebuilt while some pools could not be fetched list those
+// pools as `missingPools`.
+export function summarizeRoutes(days, weekOf) {
+    const weekly = {};
+    const total = emptyRouteDay(null);
+
+    for (const day of days) {
+        const key = weekOf(day.timestamp);
+        weekly[key] ??= { date: key, routes: 0, multiHopRoutes: 0, poolVolume: 0, userVolume: 0 };
+        weekly[key].routes += day.routes;
+        weekly[key].multiHopRoutes += day.multiHopRoutes;
+        weekly[key].poolVolume += day.poolVolume;
+        weekly[key].userVolume += day.userVolume;
+        if (day.missingPools) {
+            weekly[key].missingPools = [...new Set([...(weekly[key].missingPools ?? []), ...day.missingPools])].sort();
+        }
+        addRouteDay(total, day);
+    }
+
+    return {
+        weekly: Object.values(weekly).sort((a, b) => a.date.localeCompare(b.date)),
+        hopDistribution: total.hopCounts,
+        topPaths: Object.entries(total.paths)
+            .map(([pathKey, stats]) => ({ path: pathKey, ...stats }))
+            .sort((a, b) => b.count - a.count)
+            .slice(0, TOP_PATHS),
+    };
+}
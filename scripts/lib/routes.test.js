@@ -0,0 +1,40 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createSwapPricer, swapVolumeUSD } from './pricing.js';
+import { assembleRoutes } from './routes.js';
+
+function token(symbol) {
+    return { id: `0x${symbol.toLowerCase().padEnd(40, '0')}`, symbol, decimals: '18' };
+}
+
+const PEPE = token('PEPE');
+const WETH = token('WETH');
+const USDC = token('USDC');
+const PEPE_WETH = { id: '0xpool1', token0: PEPE, token1: WETH };
+const WETH_USDC = { id: '0xpool2', token0: WETH, token1: USDC };
+
+// Pool-side amounts: PEPE in, WETH out, then WETH in, USDC out
+function swap(pool, logIndex, amount0, amount1, amountUSD) {
+    return { pool: { id: pool.id }, transaction: { id: '0xTX' }, timestamp: '1736121600', logIndex: String(logIndex), amount0, amount1, amountUSD };
+}
+
+test('values route hops with the fallback pricing of the pool aggregates', () => {
+    const priceTable = { chains: { TEST: { [WETH.id]: { usd: 3000 } } } };
+    const pricers = new Map([PEPE_WETH, WETH_USDC].map(pool => [
+        pool.id,
+        createSwapPricer(pool, { chainName: 'TEST', stablecoins: ['USDC'], priceTable, ethPriceUSD: null }),
+    ]));
+    const valueSwap = (entry) => swapVolumeUSD(entry, pricers.get(entry.pool.id)).usd;
+
+    // The subgraph left the PEPE hop unpriced; its WETH leg is in the price table
+    const swaps = [
+        swap(PEPE_WETH, 1, '1000000', '-0.5', '0'),
+        swap(WETH_USDC, 2, '0.5', '-1490', '1490'),
+    ];
+    const poolsById = new Map([PEPE_WETH, WETH_USDC].map(pool => [pool.id, pool]));
+    const [route] = assembleRoutes(swaps, poolsById, valueSwap);
+
+    assert.deepEqual(route.path, ['PEPE', 'WETH', 'USDC']);
+    assert.equal(route.userVolume, 1500);
+    assert.equal(route.poolVolume, 2990);
+});
@@ -0,0 +1,236 @@
+import { Contract, ZeroAddress, formatUnits } from 'ethers';
+import {
+    createProvider,
+    fetchPoolEvents,
+    swapKey,
+    INITIALIZE_TOPIC,
+    SWAP_TOPIC,
+} from './poolManager.js';
+import { DEFAULT_STABLECOINS, stablecoinUSD } from './pricing.js';
+
+const DAY_SECONDS = 60 * 60 * 24;
+
+const ERC20_ABI = [
+    'function symbol() view returns (string)',
+    'function decimals() view returns (uint8)',
+];
+
+// First block whose timestamp is >= `timestamp`. Interpolation steps are
+// interleaved with bisection so irregular block times still converge in
+// O(log n) getBlock calls.
+async function findBlockByTimestamp(getTimestamp, timestamp, lo, hi) {
+    let tLo = await getTimestamp(lo);
+    let tHi = await getTimestamp(hi);
+
+    if (timestamp <= tLo) return lo;
+    if (timestamp > tHi) return hi + 1;
+
+    for (let step = 0; hi - lo > 1; step++) {
+        let mid = step % 2 === 0
+            ? lo + Math.floor((timestamp - tLo) * (hi - lo) / (tHi - tLo))
+            : lo + Math.floor((hi - lo) / 2);
+        mid = Math.min(Math.max(mid, lo + 1), hi - 1);
+
+        const tMid = await getTimestamp(mid);
+        if (tMid >= timestamp) {
+            hi = mid;
+            tHi = tMid;
+        } else {
+            lo = mid;
+            tLo = tMid;
+        }
+    }
+
+    return hi;
+}
+
+async function tokenMetadata(provider, address, chain) {
+    if (address === ZeroAddress) {
+        return { id: address, symbol: chain.nativeSymbol || 'ETH', decimals: '18' };
+    }
+
+    const token = new Contract(address, ERC20_ABI, provider);
+    const [symbol, decimals] = await Promise.all([token.symbol(), token.decimals()]);
+    return { id: address.toLowerCase(), symbol, decimals: String(decimals) };
+}
+
+// Reads pools straight from the chain's PoolManager logs instead of a
+// subgraph. Returns pool details and swaps in the same shape the subgraph
+// queries do, so the rest of the pipeline does not care about the source.
+export function createRpcSource(chain, { until }) {
+    if (!chain.rpcUrl || !chain.poolManager) {
+        throw new Error(`${chain.name}: the rpc source needs RPC_URL_${chain.name} and a poolManager address`);
+    }
+
+    const provider = createProvider(chain.rpcUrl);
+    const stablecoins = chain.stablecoins || DEFAULT_STABLECOINS;
+    const blockTimestamps = new Map();
+    const blocksByTimestamp = new Map();
+    const pools = new Map();
+    let latestBlock = null;
+
+    const getTimestamp = async (blockNumber) => {
+        if (!blockTimestamps.has(blockNumber)) {
+            const block = await provider.getBlock(blockNumber);
+            blockTimestamps.set(blockNumber, block.timestamp);
+        }
+        return blockTimestamps.get(blockNumber);
+    };
+
+    // Blocks already looked at narrow the search for the next timestamp.
+    const blockAt = async (timestamp) => {
+        if (!blocksByTimestamp.has(timestamp)) {
+            latestBlock ??= await provider.getBlockNumber();
+
+            let lo = chain.startBlock;
+            let hi = latestBlock;
+            for (const [block, blockTimestamp] of blockTimestamps) {
+                if (blockTimestamp < timestamp && block > lo) lo = block;
+                if (blockTimestamp >= timestamp && block < hi) hi = block;
+            }
+
+            blocksByTimestamp.set(timestamp, await findBlockByTimestamp(getTimestamp, timestamp, lo, hi));
+        }
+        return blocksByTimestamp.get(timestamp);
+    };
+
+    const fetchPoolDetails = async (poolId) => {
+        const latest = await provider.getBlockNumber();
+        const [initialize] = await fetchPoolEvents(
+            provider,
+            chain.poolManager,
+            INITIALIZE_TOPIC,
+            poolId,
+            chain.startBlock,
+            latest,
+            chain.logBlockRange
+        );
+
+        if (!initialize) {
+            return null;
+        }
+
+        const { currency0, currency1, fee, hooks } = initialize.args;
+        const [token0, token1] = await Promise.all([
+            tokenMetadata(provider, currency0, chain),
+            tokenMetadata(provider, currency1, chain),
+        ]);
+
+        const pool = {
+            id: poolId.toLowerCase(),
+            token0,
+            token1,
+            feeTier: String(fee),
+            hooks: hooks.toLowerCase(),
+            txCount: null,
+            totalValueLockedUSD: null,
+        };
+        pools.set(pool.id, pool);
+        return pool;
+    };
+
+    // Logs carry no timestamp, so each day slice is mapped to a block range
+    // and swap timestamps are interpolated between the slice's boundary
+    // blocks. Day assignment is exact; times within a day are approximate.
+    const fetchSliceSwaps = async (pool, from, to) => {
+        const fromBlock = await blockAt(from);
+        const toBlock = (await blockAt(to)) - 1;
+        if (toBlock < fromBlock) {
+            return [];
+        }
+
+        const events = await fetchPoolEvents(
+            provider,
+            chain.poolManager,
+            SWAP_TOPIC,
+            pool.id,
+            fromBlock,
+            toBlock,
+            chain.logBlockRange
+        );
+
+        // Logs name neither the signer nor the contract the transaction called;
+        // one lookup per transaction (batched by the provider) reads both
+        const transactions = new Map(await Promise.all(
+            [...new Set(events.map(({ log }) => log.transactionHash))]
+                .map(async hash => [hash, await provider.getTransaction(hash)])
+        ));
+
+        const span = Math.max(toBlock - fromBlock, 1);
+        const decimals0 = parseInt(pool.token0.decimals);
+        const decimals1 = parseInt(pool.token1.decimals);
+
+        return events.map(({ log, args }) => {
+            // Event deltas are from the swapper's side; the subgraph (and
+            // everything downstream) uses the pool's side.
+            const amount0 = -parseFloat(formatUnits(args.amount0, decimals0));
+            const amount1 = -parseFloat(formatUnits(args.amount1, decimals1));
+            const usd = stablecoinUSD(amount0, amount1, pool, stablecoins);
+            const tx = transactions.get(log.transactionHash);
+
+            return {
+                id: swapKey(log.transactionHash, log.index),
+                timestamp: String(from + Math.floor((log.blockNumber - fromBlock) * (to - from - 1) / span)),
+                logIndex: String(log.index),
+                origin: tx ? tx.from.toLowerCase() : null,
+                sender: args.sender.toLowerCase(),
+                transaction: { id: log.transactionHash, blockNumber: String(log.blockNumber), to: tx?.to?.toLowerCase() ?? null },
+                amount0: String(amount0),
+                amount1: String(amount1),
+                amountUSD: usd === null ? '0' : String(usd),
+                sqrtPriceX96: args.sqrtPriceX96.toString(),
+                tick: String(args.tick),
+                fee: Number(args.fee),
+                pool: {
+                    id: pool.id,
+                    feeTier: pool.feeTier,
+                    token0: { decimals: pool.token0.decimals },
+                    token1: { decimals: pool.token1.decimals },
+                },
+            };
+        });
+    };
+
+    const fetchPoolSwaps = async (poolId, since, limiter) => {
+        const pool = pools.get(poolId) || await fetchPoolDetails(poolId);
+
+        // Resolve slice boundaries in order up front so each search starts
+        // from the previous boundary instead of the whole chain.
+        const slices = [];
+        for (let from = since; from < until; from += DAY_SECONDS) {
+            slices.push({ from, to: Math.min(from + DAY_SECONDS, until) });
+        }
+        for (const slice of slices) {
+            await blockAt(slice.from);
+        }
+
+        const failedRanges = [];
+        const results = await Promise.all(slices.map(slice =>
+            limiter.run(async () => {
+                try {
+                    return await fetchSliceSwaps(pool, slice.from, slice.to);
+                } catch (error) {
+                    console.error(`   ❌ ${chain.name}: swap logs between ${new Date(slice.from * 1000).toISOString()} and ${new Date(slice.to * 1000).toISOString()} are missing: ${error.message}`);
+                    failedRanges.push({ from: slice.from, to: slice.to, error: error.message });
+                    return [];
+                }
+            })
+        ));
+
+        return {
+            swaps: results.flat(),
+            complete: failedRanges.length === 0,
+            failedRanges: failedRanges.sort((a, b) => a.from - b.from),
+        };
+    };
+
+    return {
+        fetchPoolDetails,
+        fetchPoolSwaps,
+        // Logs carry no TVL; pools read over RPC have no TVL history
+        fetchPoolTvl: async () => null,
+        // Tokens carry no derivedETH either, so there is nothing to multiply it by
+        fetchEthPrice: async () => null,
+        close: () => provider.destroy(),
+    };
+}
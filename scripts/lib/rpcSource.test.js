@@ -0,0 +1,200 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { Interface, ZeroAddress, toBeHex, zeroPadValue } from 'ethers';
+import { ConcurrencyLimiter } from './graph.js';
+import { POOL_MANAGER_INTERFACE } from './poolManager.js';
+import { createRpcSource } from './rpcSource.js';
+
+// A chain with one block a minute from GENESIS_TIME, so DAY (2025-01-06)
+// starts at block 500 and ends before block 1940.
+const DAY_SECONDS = 60 * 60 * 24;
+const DAY = 1736121600;
+const BLOCK_SECONDS = 60;
+const GENESIS_TIME = DAY - 500 * BLOCK_SECONDS;
+const LATEST_BLOCK = 2500;
+const START_BLOCK = 400;
+
+const POOL_MANAGER = '0x000000000004444c5dc75cb358380d2e3de08a90';
+const POOL_ID = `0x${'12'.repeat(32)}`;
+const USDC = '0x00000000000000000000000000000000000000aa';
+const SENDER = '0x00000000000000000000000000000000000000bb';
+const ROUTER = '0x00000000000000000000000000000000000000cc';
+const SIGNER = '0x00000000000000000000000000000000000000dd';
+const ERC20 = new Interface(['function symbol() view returns (string)', 'function decimals() view returns (uint8)']);
+
+function blockTime(number) {
+    return GENESIS_TIME + number * BLOCK_SECONDS;
+}
+
+function eventLog(name, values, blockNumber, logIndex) {
+    const { data, topics } = POOL_MANAGER_INTERFACE.encodeEventLog(name, values);
+    return {
+        address: POOL_MANAGER,
+        blockNumber: toBeHex(blockNumber),
+        blockHash: zeroPadValue(toBeHex(blockNumber), 32),
+        transactionHash: zeroPadValue(toBeHex(blockNumber * 1000 + logIndex), 32),
+        transactionIndex: '0x0',
+        logIndex: toBeHex(logIndex),
+        removed: false,
+        data,
+        topics,
+    };
+}
+
+// Swapper-side deltas: 1 ETH in, 2,000 USDC out
+function swapLog(blockNumber, logIndex) {
+    return eventLog('Swap', [POOL_ID, SENDER, -(10n ** 18n), 2000n * 10n ** 6n, 2n ** 96n, 10n ** 12n, 0, 500], blockNumber, logIndex);
+}
+
+const LOGS = [
+    eventLog('Initialize', [POOL_ID, ZeroAddress, USDC, 500, 10, ZeroAddress, 2n ** 96n, 0], 450, 0),
+    swapLog(600, 3),
+    swapLog(1200, 1),
+    // the next day
+    swapLog(2000, 0),
+];
+
+function block(number) {
+    return {
+        number: toBeHex(number),
+        hash: zeroPadValue(toBeHex(number), 32),
+        parentHash: zeroPadValue(toBeHex(Math.max(number - 1, 0)), 32),
+        timestamp: toBeHex(blockTime(number)),
+        nonce: '0x0000000000000000',
+        difficulty: '0x0',
+        gasLimit: '0x1c9c380',
+        gasUsed: '0x0',
+        miner: ZeroAddress,
+        extraData: '0x',
+        baseFeePerGas: '0x1',
+        transactions: [],
+    };
+}
+
+// Every swap's transaction was sent by SIGNER to ROUTER
+function transaction(hash) {
+    const log = LOGS.find(entry => entry.transactionHash === hash);
+    return {
+        hash,
+        blockHash: log.blockHash,
+        blockNumber: log.blockNumber,
+        transactionIndex: '0x0',
+        type: '0x2',
+        chainId: '0x1',
+        from: SIGNER,
+        to: ROUTER,
+        nonce: '0x0',
+        gas: '0x30d40',
+        maxFeePerGas: '0x1',
+        maxPriorityFeePerGas: '0x1',
+        value: '0x0',
+        input: '0x',
+        accessList: [],
+        r: zeroPadValue('0x01', 32),
+        s: zeroPadValue('0x02', 32),
+        yParity: '0x0',
+        v: '0x0',
+    };
+}
+
+// Answers the JSON-RPC calls the rpc source makes, and records the lowest
+// block any of them asked about
+function startMockRpc() {
+    const seen = { lowestBlock: Infinity };
+    const note = (blockNumber) => {
+        seen.lowestBlock = Math.min(seen.lowestBlock, Number(blockNumber));
+    };
+
+    const call = ({ method, params }) => {
+        switch (method) {
+            case 'eth_chainId':
+                return '0x1';
+            case 'eth_blockNumber':
+                return toBeHex(LATEST_BLOCK);
+            case 'eth_getBlockByNumber':
+                note(params[0]);
+                return block(Number(params[0]));
+            case 'eth_getLogs': {
+                const [{ address, topics, fromBlock, toBlock }] = params;
+                note(fromBlock);
+                return LOGS.filter(log =>
+                    log.address === address.toLowerCase()
+                    && log.topics[0] === topics[0]
+                    && log.topics[1] === topics[1]
+                    && Number(log.blockNumber) >= Number(fromBlock)
+                    && Number(log.blockNumber) <= Number(toBlock)
+                );
+            }
+            case 'eth_getTransactionByHash':
+                return transaction(params[0]);
+            case 'eth_call': {
+                const { to, data } = params[0];
+                if (to.toLowerCase() !== USDC) throw new Error(`unexpected call to ${to}`);
+                const fn = ERC20.parseTransaction({ data });
+                return ERC20.encodeFunctionResult(fn.name, [fn.name === 'symbol' ? 'USDC' : 6]);
+            }
+            default:
+                throw new Error(`unexpected method ${method}`);
+        }
+    };
+    const respond = (request) => {
+        try {
+            return { jsonrpc: '2.0', id: request.id, result: call(request) };
+        } catch (error) {
+            return { jsonrpc: '2.0', id: request.id, error: { code: -32000, message: error.message } };
+        }
+    };
+
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            const request = JSON.parse(body);
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(Array.isArray(request) ? request.map(respond) : respond(request)));
+        });
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => resolve({ server, seen, url: `http://127.0.0.1:${server.address().port}` }));
+    });
+}
+
+test('reads a pool and one day of its swaps from PoolManager logs', async (t) => {
+    const { server, seen, url } = await startMockRpc();
+    t.after(() => server.close());
+
+    const chain = { name: 'TEST', rpcUrl: url, poolManager: POOL_MANAGER, startBlock: START_BLOCK, logBlockRange: 1000 };
+    const source = createRpcSource(chain, { until: DAY + DAY_SECONDS });
+    t.after(() => source.close());
+
+    const pool = await source.fetchPoolDetails(POOL_ID);
+    assert.equal(pool.id, POOL_ID);
+    assert.deepEqual(pool.token0, { id: ZeroAddress, symbol: 'ETH', decimals: '18' });
+    assert.deepEqual(pool.token1, { id: USDC, symbol: 'USDC', decimals: '6' });
+    assert.equal(pool.feeTier, '500');
+
+    const { swaps, complete } = await source.fetchPoolSwaps(POOL_ID, DAY, new ConcurrencyLimiter(2));
+    assert.equal(complete, true);
+    assert.deepEqual(swaps.map(swap => swap.transaction.blockNumber), ['600', '1200']);
+    assert.deepEqual(swaps.map(swap => swap.logIndex), ['3', '1']);
+
+    const [swap] = swaps;
+    // Pool-side amounts, valued from the stablecoin leg
+    assert.equal(swap.amount0, '1');
+    assert.equal(swap.amount1, '-2000');
+    assert.equal(swap.amountUSD, '2000');
+    assert.equal(swap.fee, 500);
+    assert.equal(swap.origin, SIGNER);
+    assert.equal(swap.transaction.to, ROUTER);
+    for (const { timestamp } of swaps) {
+        assert.ok(Number(timestamp) >= DAY && Number(timestamp) < DAY + DAY_SECONDS);
+    }
+
+    assert.ok(seen.lowestBlock >= START_BLOCK, `asked about block ${seen.lowestBlock}, before startBlock`);
+});
+
+test('requires the RPC URL and PoolManager address', () => {
+    assert.throws(() => createRpcSource({ name: 'TEST', poolManager: POOL_MANAGER, startBlock: START_BLOCK }, { until: DAY }), /RPC_URL_TEST/);
+});
@@ -0,0 +1,103 @@
+import fs from 'fs';
+import path from 'path';
+
+const STORE_VERSION = 1;
+const DAY_SECONDS = 60 * 60 * 24;
+
+export function dayKey(timestamp) {
+    return new Date(timestamp * 1000).toISOString().split('T')[0];
+}
+
+// Monday (UTC) of the timestamp's week, as YYYY-MM-DD.
+export function weekKey(timestamp) {
+    const date = new Date(timestamp * 1000);
+    const dayOfWeek = date.getUTCDay();
+    const diff = (dayOfWeek === 0 ? -6 : 1) - dayOfWeek;
+    date.setUTCDate(date.getUTCDate() + diff);
+    return date.toISOString().split('T')[0];
+}
+
+export function startOfDay(timestamp) {
+    return timestamp - (timestamp % DAY_SECONDS);
+}
+
+function storePath(dir, chainName) {
+    return path.join(dir, `${chainName.toLowerCase()}.json`);
+}
+
+export function loadChainStore(dir, chainName) {
+    const file = storePath(dir, chainName);
+    if (!fs.existsSync(file)) {
+        return { version: STORE_VERSION, chain: chainName, pools: {} };
+    }
+
+    const store = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (store.version !== STORE_VERSION) {
+        throw new Error(`Unsupported store version ${store.version} in ${file}`);
+    }
+    return store;
+}
+
+export function saveChainStore(dir, store) {
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
+    fs.writeFileSync(storePath(dir, store.chain), JSON.stringify(store, null, 2));
+}
+
+// Chain-wide route statistics live next to the pools, with their own
+// high-water mark, since a route can span several of the chain's pools.
+export function getRouteStore(store) {
+    if (!store.routes) {
+        store.routes = { highWaterMark: null, days: {} };
+    }
+    return store.routes;
+}
+
+export function getPoolStore(store, poolId) {
+    if (!store.pools[poolId]) {
+        store.pools[poolId] = { highWaterMark: null, days: {} };
+    }
+    return store.pools[poolId];
+}
+
+// Where the next fetch for a pool should start. The last `refetchDays` whole
+// days before the high-water mark are fetched again so swaps the subgraph
+// indexed late are picked up; those days are replaced, never added to.
+export function resumeTimestamp(poolStore, backfillFrom, refetchDays) {
+    if (poolStore.highWaterMark === null) {
+        return startOfDay(backfillFrom);
+    }
+    return startOfDay(poolStore.highWaterMark - refetchDays * DAY_SECONDS);
+}
+
+// Replaces every stored day in the fetched window [`from`, `until`) with the
+// freshly fetched days. `fetchedUntil` is the timestamp up to which the swap
+// set is known to be complete and becomes the new high-water mark, except
+// when the window was a backfill of older days that came back complete, or
+// starts after the high-water mark and would leave a gap behind it.
+export function mergeDailyData(poolStore, dailyData, from, fetchedUntil, until) {
+    const firstReplaced = dayKey(from);
+    const lastReplaced = dayKey(until - 1);
+
+    for (const key of Object.keys(poolStore.days)) {
+        if (key >= firstReplaced && key <= lastReplaced) {
+            delete poolStore.days[key];
+        }
+    }
+
+    for (const day of dailyData) {
+        poolStore.days[dayKey(day.timestamp)] = day;
+    }
+
+    const highWaterMark = poolStore.highWaterMark;
+    if (highWaterMark === null || (from <= highWaterMark && (fetchedUntil >= highWaterMark || fetchedUntil < until))) {
+        poolStore.highWaterMark = fetchedUntil;
+    }
+}
+
+export function storedDailyData(poolStore) {
+    return Object.keys(poolStore.days)
+        .sort()
+        .map(key => poolStore.days[key]);
+}
@@ -0,0 +1,204 @@
+// Integer ports of the V3/V4 core math libraries (FullMath, TickMath,
+// SqrtPriceMath, SwapMath) on BigInt, rounding exactly as the contracts do.
+
+export const Q96 = 1n << 96n;
+export const MIN_TICK = -887272;
+export const MAX_TICK = 887272;
+export const MIN_SQRT_PRICE = 4295128739n;
+export const MAX_SQRT_PRICE = 1461446703485210103287273052203988822378723970342n;
+export const MAX_FEE_PIPS = 1000000n;
+
+const MAX_UINT160 = (1n << 160n) - 1n;
+const MAX_UINT256 = (1n << 256n) - 1n;
+
+// TickMath ratios for each bit of |tick|, as Q128.128 values of 1/sqrt(1.0001)^(2^i)
+const TICK_RATIOS = [
+    0xfffcb933bd6fad37aa2d162d1a594001n,
+    0xfff97272373d413259a46990580e213an,
+    0xfff2e50f5f656932ef12357cf3c7fdccn,
+    0xffe5caca7e10e4e61c3624eaa0941cd0n,
+    0xffcb9843d60f6159c9db58835c926644n,
+    0xff973b41fa98c081472e6896dfb254c0n,
+    0xff2ea16466c96a3843ec78b326b52861n,
+    0xfe5dee046a99a2a811c461f1969c3053n,
+    0xfcbe86c7900a88aedcffc83b479aa3a4n,
+    0xf987a7253ac413176f2b074cf7815e54n,
+    0xf3392b0822b70005940c7a398e4b70f3n,
+    0xe7159475a2c29b7443b29c7fa6e889d9n,
+    0xd097f3bdfd2022b8845ad8f792aa5825n,
+    0xa9f746462d870fdf8a65dc1f90e061e5n,
+    0x70d869a156d2a1b890bb3df62baf32f7n,
+    0x31be135f97d08fd981231505542fcfa6n,
+    0x9aa508b5b7a84e1c677de54f3e99bc9n,
+    0x5d6af8dedb81196699c329225ee604n,
+    0x2216e584f5fa1ea926041bedfe98n,
+    0x48a170391f7dc42444e8fa2n,
+];
+
+export function mulDiv(a, b, denominator) {
+    return (a * b) / denominator;
+}
+
+export function mulDivRoundingUp(a, b, denominator) {
+    const product = a * b;
+    return product / denominator + (product % denominator > 0n ? 1n : 0n);
+}
+
+function divRoundingUp(a, b) {
+    return a / b + (a % b > 0n ? 1n : 0n);
+}
+
+export function getSqrtPriceAtTick(tick) {
+    const absTick = BigInt(Math.abs(tick));
+    if (absTick > BigInt(MAX_TICK)) {
+        throw new Error(`Tick ${tick} out of range`);
+    }
+
+    let ratio = absTick & 1n ? TICK_RATIOS[0] : 1n << 128n;
+    for (let bit = 1; bit < TICK_RATIOS.length; bit++) {
+        if (absTick & (1n << BigInt(bit))) {
+            ratio = (ratio * TICK_RATIOS[bit]) >> 128n;
+        }
+    }
+    if (tick > 0) {
+        ratio = MAX_UINT256 / ratio;
+    }
+
+    // Q128.128 to Q64.96, rounding up so the result is never below the tick's price
+    return (ratio >> 32n) + (ratio % (1n << 32n) === 0n ? 0n : 1n);
+}
+
+// Greatest tick whose sqrt price is at or below `sqrtPriceX96`. The contracts
+// use a log2 approximation; a binary search over getSqrtPriceAtTick gives the
+// same tick.
+export function getTickAtSqrtPrice(sqrtPriceX96) {
+    if (sqrtPriceX96 < MIN_SQRT_PRICE || sqrtPriceX96 >= MAX_SQRT_PRICE) {
+        throw new Error(`Sqrt price ${sqrtPriceX96} out of range`);
+    }
+
+    let low = MIN_TICK;
+    let high = MAX_TICK;
+    while (low < high) {
+        const mid = Math.ceil((low + high) / 2);
+        if (getSqrtPriceAtTick(mid) <= sqrtPriceX96) {
+            low = mid;
+        } else {
+            high = mid - 1;
+        }
+    }
+    return low;
+}
+
+export function getAmount0Delta(sqrtPriceA, sqrtPriceB, liquidity, roundUp) {
+    const [lower, upper] = sqrtPriceA < sqrtPriceB ? [sqrtPriceA, sqrtPriceB] : [sqrtPriceB, sqrtPriceA];
+    const numerator1 = liquidity << 96n;
+    const numerator2 = upper - lower;
+
+    return roundUp
+        ? divRoundingUp(mulDivRoundingUp(numerator1, numerator2, upper), lower)
+        : mulDiv(numerator1, numerator2, upper) / lower;
+}
+
+export function getAmount1Delta(sqrtPriceA, sqrtPriceB, liquidity, roundUp) {
+    const [lower, upper] = sqrtPriceA < sqrtPriceB ? [sqrtPriceA, sqrtPriceB] : [sqrtPriceB, sqrtPriceA];
+
+    return roundUp
+        ? mulDivRoundingUp(liquidity, upper - lower, Q96)
+        : mulDiv(liquidity, upper - lower, Q96);
+}
+
+function getNextSqrtPriceFromAmount0RoundingUp(sqrtPrice, liquidity, amount, add) {
+    if (amount === 0n) return sqrtPrice;
+    const numerator1 = liquidity << 96n;
+    const product = amount * sqrtPrice;
+
+    if (add) {
+        // The contract takes the precise path only when nothing overflows 256 bits
+        if (product <= MAX_UINT256 && numerator1 + product <= MAX_UINT256) {
+            return mulDivRoundingUp(numerator1, sqrtPrice, numerator1 + product);
+        }
+        return divRoundingUp(numerator1, numerator1 / sqrtPrice + amount);
+    }
+
+    if (product > MAX_UINT256 || numerator1 <= product) {
+        throw new Error('Not enough liquidity for the requested output');
+    }
+    const next = mulDivRoundingUp(numerator1, sqrtPrice, numerator1 - product);
+    if (next > MAX_UINT160) {
+        throw new Error('Sqrt price overflow');
+    }
+    return next;
+}
+
+function getNextSqrtPriceFromAmount1RoundingDown(sqrtPrice, liquidity, amount, add) {
+    if (add) {
+        return sqrtPrice + (amount << 96n) / liquidity;
+    }
+
+    const quotient = divRoundingUp(amount << 96n, liquidity);
+    if (sqrtPrice <= quotient) {
+        throw new Error('Not enough liquidity for the requested output');
+    }
+    return sqrtPrice - quotient;
+}
+
+export function getNextSqrtPriceFromInput(sqrtPrice, liquidity, amountIn, zeroForOne) {
+    return zeroForOne
+        ? getNextSqrtPriceFromAmount0RoundingUp(sqrtPrice, liquidity, amountIn, true)
+        : getNextSqrtPriceFromAmount1RoundingDown(sqrtPrice, liquidity, amountIn, true);
+}
+
+export function getNextSqrtPriceFromOutput(sqrtPrice, liquidity, amountOut, zeroForOne) {
+    return zeroForOne
+        ? getNextSqrtPriceFromAmount1RoundingDown(sqrtPrice, liquidity, amountOut, false)
+        : getNextSqrtPriceFromAmount0RoundingUp(sqrtPrice, liquidity, amountOut, false);
+}
+
+// One step of the swap loop, from the current price towards `sqrtPriceTarget`
+// within a single liquidity range. `amountRemaining` is always positive;
+// `exactInput` says whether it is input (fee included) or output left to fill.
+export function computeSwapStep(sqrtPriceCurrent, sqrtPriceTarget, liquidity, amountRemaining, feePips, exactInput) {
+    const fee = BigInt(feePips);
+    const zeroForOne = sqrtPriceCurrent >= sqrtPriceTarget;
+    let sqrtPriceNext;
+    let amountIn = 0n;
+    let amountOut = 0n;
+
+    if (exactInput) {
+        const amountRemainingLessFee = mulDiv(amountRemaining, MAX_FEE_PIPS - fee, MAX_FEE_PIPS);
+        amountIn = zeroForOne
+            ? getAmount0Delta(sqrtPriceTarget, sqrtPriceCurrent, liquidity, true)
+            : getAmount1Delta(sqrtPriceCurrent, sqrtPriceTarget, liquidity, true);
+        sqrtPriceNext = amountRemainingLessFee >= amountIn
+            ? sqrtPriceTarget
+            : getNextSqrtPriceFromInput(sqrtPriceCurrent, liquidity, amountRemainingLessFee, zeroForOne);
+    } else {
+        amountOut = zeroForOne
+            ? getAmount1Delta(sqrtPriceTarget, sqrtPriceCurrent, liquidity, false)
+            : getAmount0Delta(sqrtPriceCurrent, sqrtPriceTarget, liquidity, false);
+        sqrtPriceNext = amountRemaining >= amountOut
+            ? sqrtPriceTarget
+            : getNextSqrtPriceFromOutput(sqrtPriceCurrent, liquidity, amountRemaining, zeroForOne);
+    }
+
+    const reachedTarget = sqrtPriceNext === sqrtPriceTarget;
+
+    if (zeroForOne) {
+        if (!(reachedTarget && exactInput)) amountIn = getAmount0Delta(sqrtPriceNext, sqrtPriceCurrent, liquidity, true);
+        if (!(reachedTarget && !exactInput)) amountOut = getAmount1Delta(sqrtPriceNext, sqrtPriceCurrent, liquidity, false);
+    } else {
+        if (!(reachedTarget && exactInput)) amountIn = getAmount1Delta(sqrtPriceCurrent, sqrtPriceNext, liquidity, true);
+        if (!(reachedTarget && !exactInput)) amountOut = getAmount0Delta(sqrtPriceCurrent, sqrtPriceNext, liquidity, false);
+    }
+
+    if (!exactInput && amountOut > amountRemaining) {
+        amountOut = amountRemaining;
+    }
+
+    // Whatever input is left over when the price stops short of the target is fee
+    const feeAmount = exactInput && !reachedTarget
+        ? amountRemaining - amountIn
+        : mulDivRoundingUp(amountIn, fee, MAX_FEE_PIPS - fee);
+
+    return { sqrtPriceNext, amountIn, amountOut, feeAmount };
+}
@@ -0,0 +1,92 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    MAX_SQRT_PRICE,
+    MAX_TICK,
+    MIN_SQRT_PRICE,
+    MIN_TICK,
+    Q96,
+    computeSwapStep,
+    getNextSqrtPriceFromInput,
+    getNextSqrtPriceFromOutput,
+    getSqrtPriceAtTick,
+    getTickAtSqrtPrice,
+} from './swapMath.js';
+
+const E18 = 10n ** 18n;
+
+// encodePriceSqrt(reserve1, reserve0) of the v3-core tests
+const PRICE_1_1 = Q96;
+const PRICE_101_100 = 79623317895830914510639640423n;
+const PRICE_1000_100 = 250541448375047931186413801569n;
+const PRICE_10000_100 = 792281625142643375935439503360n;
+
+test('TickMath matches the contracts at the tick range boundaries and tick 0', () => {
+    assert.equal(getSqrtPriceAtTick(MIN_TICK), MIN_SQRT_PRICE);
+    assert.equal(getSqrtPriceAtTick(MAX_TICK), MAX_SQRT_PRICE);
+    assert.equal(getSqrtPriceAtTick(0), Q96);
+
+    assert.equal(getTickAtSqrtPrice(MIN_SQRT_PRICE), MIN_TICK);
+    assert.equal(getTickAtSqrtPrice(MAX_SQRT_PRICE - 1n), MAX_TICK - 1);
+    assert.equal(getTickAtSqrtPrice(Q96), 0);
+    // Just below a tick's price rounds down to the tick before
+    assert.equal(getTickAtSqrtPrice(getSqrtPriceAtTick(60) - 1n), 59);
+});
+
+test('TickMath rejects ticks outside the range', () => {
+    assert.throws(() => getSqrtPriceAtTick(MIN_TICK - 1));
+    assert.throws(() => getSqrtPriceAtTick(MAX_TICK + 1));
+});
+
+// Reference values from v3-core's SwapMath.spec.ts
+test('computeSwapStep: exact input capped at the price target', () => {
+    const step = computeSwapStep(PRICE_1_1, PRICE_101_100, 2n * E18, E18, 600, true);
+    assert.equal(step.amountIn, 9975124224178055n);
+    assert.equal(step.feeAmount, 5988667735148n);
+    assert.equal(step.amountOut, 9925619580021728n);
+    assert.equal(step.sqrtPriceNext, PRICE_101_100);
+});
+
+test('computeSwapStep: exact output capped at the price target', () => {
+    const step = computeSwapStep(PRICE_1_1, PRICE_101_100, 2n * E18, E18, 600, false);
+    assert.equal(step.amountIn, 9975124224178055n);
+    assert.equal(step.feeAmount, 5988667735148n);
+    assert.equal(step.amountOut, 9925619580021728n);
+    assert.equal(step.sqrtPriceNext, PRICE_101_100);
+});
+
+test('computeSwapStep: exact input fully spent before the target', () => {
+    const step = computeSwapStep(PRICE_1_1, PRICE_1000_100, 2n * E18, E18, 600, true);
+    assert.equal(step.amountIn, 999400000000000000n);
+    assert.equal(step.feeAmount, 600000000000000n);
+    assert.equal(step.amountOut, 666399946655997866n);
+    assert.equal(step.sqrtPriceNext, getNextSqrtPriceFromInput(PRICE_1_1, 2n * E18, 999400000000000000n, false));
+});
+
+test('computeSwapStep: exact output fully received before the target', () => {
+    const step = computeSwapStep(PRICE_1_1, PRICE_10000_100, 2n * E18, E18, 600, false);
+    assert.equal(step.amountIn, 2000000000000000000n);
+    assert.equal(step.feeAmount, 1200720432259356n);
+    assert.equal(step.amountOut, E18);
+    assert.equal(step.sqrtPriceNext, getNextSqrtPriceFromOutput(PRICE_1_1, 2n * E18, E18, false));
+});
+
+test('computeSwapStep: output capped at the amount wanted, and input taken whole as fee', () => {
+    const capped = computeSwapStep(
+        417332158212080721273783715441582n,
+        1452870262520218020823638996n,
+        159344665391607089467575320103n,
+        1n,
+        1,
+        false
+    );
+    assert.equal(capped.amountIn, 1n);
+    assert.equal(capped.feeAmount, 1n);
+    assert.equal(capped.amountOut, 1n);
+
+    const allFee = computeSwapStep(2413n, 79887613182836312n, 1985041575832132834610021537970n, 10n, 1872, true);
+    assert.equal(allFee.amountIn, 0n);
+    assert.equal(allFee.feeAmount, 10n);
+    assert.equal(allFee.amountOut, 0n);
+    assert.equal(allFee.sqrtPriceNext, 2413n);
+});
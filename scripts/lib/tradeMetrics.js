@@ -0,0 +1,85 @@
+// Trade-size buckets and the unique-trader sketch, read the same way by the
+// fetcher when it merges days into weeks and by the dashboard when it merges
+// pools and days. Free of Node and ethers imports so both can load it.
+
+// Trade sizes are bucketed on a log scale, four buckets per decade of USD
+// (bucket 4 is $10-$17.8, bucket 8 is $100-$178, ...); sizes under $1 fall in 0.
+export const SIZE_BUCKETS_PER_DECADE = 4;
+
+// Unique traders are counted with a HyperLogLog sketch of 2^9 registers
+// (about 4.6% standard error) so days can be merged into weeks without
+// keeping every address.
+export const SKETCH_BITS = 9;
+export const SKETCH_REGISTERS = 1 << SKETCH_BITS;
+
+export const TRADE_COUNTERS = ['count', 'priced', 'buys', 'sells', 'buyVolume', 'sellVolume', 'netFlow0', 'netFlow1'];
+
+// Sketches are stored as hex, one byte per register. Byte arrays are passed
+// through, so callers merging many sketches can keep one array.
+export function sketchRegisters(sketch) {
+    if (sketch instanceof Uint8Array) return sketch;
+
+    const registers = new Uint8Array(SKETCH_REGISTERS);
+    for (let index = 0; index < SKETCH_REGISTERS; index++) {
+        registers[index] = parseInt(sketch.substr(index * 2, 2), 16);
+    }
+    return registers;
+}
+
+export function sketchHex(registers) {
+    return Array.from(registers, value => value.toString(16).padStart(2, '0')).join('');
+}
+
+// Folds `sketch` into `registers` (a byte array, or null for a new one)
+export function mergeIntoRegisters(registers, sketch) {
+    const target = registers ?? new Uint8Array(SKETCH_REGISTERS);
+    const source = sketchRegisters(sketch);
+    for (let index = 0; index < SKETCH_REGISTERS; index++) {
+        target[index] = Math.max(target[index], source[index]);
+    }
+    return target;
+}
+
+export function mergeSketches(a, b) {
+    if (!a) return b;
+    if (!b) return a;
+    return sketchHex(mergeIntoRegisters(new Uint8Array(sketchRegisters(a)), b));
+}
+
+export function estimateUniqueTraders(sketch) {
+    if (!sketch) return null;
+
+    const registers = sketchRegisters(sketch);
+    const alpha = 0.7213 / (1 + 1.079 / SKETCH_REGISTERS);
+    let sum = 0;
+    let zeros = 0;
+    for (const value of registers) {
+        sum += 2 ** -value;
+        if (value === 0) zeros++;
+    }
+
+    const estimate = alpha * SKETCH_REGISTERS * SKETCH_REGISTERS / sum;
+    // Small cardinalities are counted from the empty registers instead
+    if (estimate <= 2.5 * SKETCH_REGISTERS && zeros > 0) {
+        return Math.round(SKETCH_REGISTERS * Math.log(SKETCH_REGISTERS / zeros));
+    }
+    return Math.round(estimate);
+}
+
+// Median trade size from the size buckets, interpolated on the log scale
+// within the bucket that holds it; null without priced trades.
+export function medianSize(stats) {
+    const half = stats.priced / 2;
+    let seen = 0;
+
+    for (const bucket of Object.keys(stats.sizeBuckets).map(Number).sort((a, b) => a - b)) {
+        const count = stats.sizeBuckets[bucket];
+        if (seen + count >= half) {
+            const lower = 10 ** (bucket / SIZE_BUCKETS_PER_DECADE);
+            const upper = 10 ** ((bucket + 1) / SIZE_BUCKETS_PER_DECADE);
+            return lower * (upper / lower) ** ((half - seen) / count);
+        }
+        seen += count;
+    }
+    return null;
+}
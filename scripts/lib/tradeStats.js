@@ -0,0 +1,106 @@
+import { getBytes, keccak256 } from 'ethers';
+import {
+    estimateUniqueTraders,
+    medianSize,
+    mergeSketches,
+    sketchHex,
+    sketchRegisters,
+    SIZE_BUCKETS_PER_DECADE,
+    SKETCH_BITS,
+    SKETCH_REGISTERS,
+    TRADE_COUNTERS,
+} from './tradeMetrics.js';
+
+const RANK_BITS = 64 - SKETCH_BITS;
+
+export function emptyTradeStats() {
+    return {
+        count: 0,
+        priced: 0,
+        buys: 0,
+        sells: 0,
+        buyVolume: 0,
+        sellVolume: 0,
+        netFlow0: 0,
+        netFlow1: 0,
+        sizeBuckets: {},
+        traders: null,
+    };
+}
+
+function sizeBucket(volumeUSD) {
+    return volumeUSD < 1 ? 0 : Math.floor(Math.log10(volumeUSD) * SIZE_BUCKETS_PER_DECADE);
+}
+
+// Sketches are stored as hex; while a day's swaps are being added they are
+// kept as a byte array and only encoded by finalizeTradeStats.
+function addToSketch(sketch, address) {
+    const registers = sketch ? sketchRegisters(sketch) : new Uint8Array(SKETCH_REGISTERS);
+    const hash = BigInt(keccak256(getBytes(address)).slice(0, 18));
+    const index = Number(hash >> BigInt(RANK_BITS));
+    const rest = hash & ((1n << BigInt(RANK_BITS)) - 1n);
+    const rank = RANK_BITS - rest.toString(2).length + (rest === 0n ? 2 : 1);
+
+    registers[index] = Math.max(registers[index], rank);
+    return registers;
+}
+
+// Adds one swap. Direction is from the trader's side of token0: the pool
+// paying token0 out (amount0 < 0) is a buy. Unpriced swaps still count as
+// trades but stay out of the size and USD figures.
+export function addTrade(stats, swap, volumeUSD) {
+    const amount0 = parseFloat(swap.amount0);
+    const buy = amount0 < 0;
+
+    stats.count++;
+    stats[buy ? 'buys' : 'sells']++;
+    stats.netFlow0 += amount0;
+    stats.netFlow1 += parseFloat(swap.amount1);
+
+    if (volumeUSD > 0) {
+        stats.priced++;
+        stats[buy ? 'buyVolume' : 'sellVolume'] += volumeUSD;
+        const bucket = sizeBucket(volumeUSD);
+        stats.sizeBuckets[bucket] = (stats.sizeBuckets[bucket] ?? 0) + 1;
+    }
+
+    if (swap.origin) {
+        stats.traders = addToSketch(stats.traders, swap.origin);
+    }
+}
+
+export function finalizeTradeStats(stats) {
+    if (stats.traders instanceof Uint8Array) {
+        stats.traders = sketchHex(stats.traders);
+    }
+    return stats;
+}
+
+export function mergeTradeStats(target, source) {
+    if (!source) return;
+
+    for (const key of TRADE_COUNTERS) {
+        target[key] += source[key];
+    }
+    for (const [bucket, count] of Object.entries(source.sizeBuckets)) {
+        target.sizeBuckets[bucket] = (target.sizeBuckets[bucket] ?? 0) + count;
+    }
+    target.traders = mergeSketches(target.traders, source.traders);
+}
+
+// Output form of a period's stats: the raw counters plus derived averages.
+// The trader sketch is kept only where the dashboard merges periods.
+export function summarizeTradeStats(stats, { keepSketch = false } = {}) {
+    if (!stats) return null;
+
+    const { traders, ...counters } = stats;
+    const volume = stats.buyVolume + stats.sellVolume;
+
+    return {
+        ...counters,
+        avgSize: stats.priced > 0 ? volume / stats.priced : null,
+        medianSize: stats.priced > 0 ? medianSize(stats) : null,
+        uniqueTraders: estimateUniqueTraders(traders),
+        ...(keepSketch && { traders }),
+    };
+}
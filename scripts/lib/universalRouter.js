@@ -0,0 +1,202 @@
+import { AbiCoder, Interface, dataLength, dataSlice, getAddress, getBytes, hexlify } from 'ethers';
+
+const abi = AbiCoder.defaultAbiCoder();
+
+export const UNIVERSAL_ROUTER_INTERFACE = new Interface([
+    'function execute(bytes commands, bytes[] inputs, uint256 deadline)',
+    'function execute(bytes commands, bytes[] inputs)',
+]);
+
+// Command bytes carry a revert flag in the top bit and the command type in
+// the low six bits.
+const FLAG_ALLOW_REVERT = 0x80;
+const COMMAND_TYPE_MASK = 0x3f;
+
+const POOL_KEY = 'tuple(address currency0, address currency1, uint24 fee, int24 tickSpacing, address hooks)';
+const PATH_KEY = 'tuple(address intermediateCurrency, uint24 fee, int24 tickSpacing, address hooks, bytes hookData)';
+const PERMIT_DETAILS = 'tuple(address token, uint160 amount, uint48 expiration, uint48 nonce)';
+
+// Universal Router commands: name and ABI layout of the command's input.
+const COMMANDS = {
+    0x00: { name: 'V3_SWAP_EXACT_IN', types: ['address recipient', 'uint256 amountIn', 'uint256 amountOutMin', 'bytes path', 'bool payerIsUser'] },
+    0x01: { name: 'V3_SWAP_EXACT_OUT', types: ['address recipient', 'uint256 amountOut', 'uint256 amountInMax', 'bytes path', 'bool payerIsUser'] },
+    0x02: { name: 'PERMIT2_TRANSFER_FROM', types: ['address token', 'address recipient', 'uint160 amount'] },
+    0x03: { name: 'PERMIT2_PERMIT_BATCH', types: [`tuple(${PERMIT_DETAILS}[] details, address spender, uint256 sigDeadline) permitBatch`, 'bytes signature'] },
+    0x04: { name: 'SWEEP', types: ['address token', 'address recipient', 'uint256 amountMin'] },
+    0x05: { name: 'TRANSFER', types: ['address token', 'address recipient', 'uint256 value'] },
+    0x06: { name: 'PAY_PORTION', types: ['address token', 'address recipient', 'uint256 bips'] },
+    0x08: { name: 'V2_SWAP_EXACT_IN', types: ['address recipient', 'uint256 amountIn', 'uint256 amountOutMin', 'address[] path', 'bool payerIsUser'] },
+    0x09: { name: 'V2_SWAP_EXACT_OUT', types: ['address recipient', 'uint256 amountOut', 'uint256 amountInMax', 'address[] path', 'bool payerIsUser'] },
+    0x0a: { name: 'PERMIT2_PERMIT', types: [`tuple(${PERMIT_DETAILS} details, address spender, uint256 sigDeadline) permitSingle`, 'bytes signature'] },
+    0x0b: { name: 'WRAP_ETH', types: ['address recipient', 'uint256 amountMin'] },
+    0x0c: { name: 'UNWRAP_WETH', types: ['address recipient', 'uint256 amountMin'] },
+    0x0d: { name: 'PERMIT2_TRANSFER_FROM_BATCH', types: ['tuple(address from, address to, uint160 amount, address token)[] batchDetails'] },
+    0x0e: { name: 'BALANCE_CHECK_ERC20', types: ['address owner', 'address token', 'uint256 minBalance'] },
+    0x10: { name: 'V4_SWAP', types: ['bytes actions', 'bytes[] params'] },
+    0x11: { name: 'V3_POSITION_MANAGER_PERMIT', types: null },
+    0x12: { name: 'V3_POSITION_MANAGER_CALL', types: null },
+    0x13: { name: 'V4_INITIALIZE_POOL', types: [`${POOL_KEY} poolKey`, 'uint160 sqrtPriceX96'] },
+    0x14: { name: 'V4_POSITION_MANAGER_CALL', types: null },
+    0x21: { name: 'EXECUTE_SUB_PLAN', types: ['bytes commands', 'bytes[] inputs'] },
+};
+
+// V4Router actions nested inside V4_SWAP. Swap actions take a single struct.
+const V4_ACTIONS = {
+    0x06: { name: 'SWAP_EXACT_IN_SINGLE', types: [`tuple(${POOL_KEY} poolKey, bool zeroForOne, uint128 amountIn, uint128 amountOutMinimum, bytes hookData) params`] },
+    0x07: { name: 'SWAP_EXACT_IN', types: [`tuple(address currencyIn, ${PATH_KEY}[] path, uint128 amountIn, uint128 amountOutMinimum) params`] },
+    0x08: { name: 'SWAP_EXACT_OUT_SINGLE', types: [`tuple(${POOL_KEY} poolKey, bool zeroForOne, uint128 amountOut, uint128 amountInMaximum, bytes hookData) params`] },
+    0x09: { name: 'SWAP_EXACT_OUT', types: [`tuple(address currencyOut, ${PATH_KEY}[] path, uint128 amountOut, uint128 amountInMaximum) params`] },
+    0x0b: { name: 'SETTLE', types: ['address currency', 'uint256 amount', 'bool payerIsUser'] },
+    0x0c: { name: 'SETTLE_ALL', types: ['address currency', 'uint256 maxAmount'] },
+    0x0d: { name: 'SETTLE_PAIR', types: ['address currency0', 'address currency1'] },
+    0x0e: { name: 'TAKE', types: ['address currency', 'address recipient', 'uint256 amount'] },
+    0x0f: { name: 'TAKE_ALL', types: ['address currency', 'uint256 minAmount'] },
+    0x10: { name: 'TAKE_PORTION', types: ['address currency', 'address recipient', 'uint256 bips'] },
+    0x11: { name: 'TAKE_PAIR', types: ['address currency0', 'address currency1', 'address recipient'] },
+    0x12: { name: 'CLOSE_CURRENCY', types: ['address currency'] },
+    0x13: { name: 'CLEAR_OR_TAKE', types: ['address currency', 'uint256 amountMax'] },
+    0x14: { name: 'SWEEP', types: ['address currency', 'address to'] },
+    0x15: { name: 'WRAP', types: ['uint256 amount'] },
+    0x16: { name: 'UNWRAP', types: ['uint256 amount'] },
+};
+
+// Field names of a decoded tuple, or null for arrays and unnamed values.
+// ethers names the only element of a one-element array `_`.
+function resultKeys(value) {
+    if (typeof value.toObject !== 'function') {
+        return null;
+    }
+    try {
+        const keys = Object.keys(value.toObject());
+        return keys.length > 0 && !keys.includes('_') ? keys : null;
+    } catch {
+        return null;
+    }
+}
+
+// Turns ethers' Result objects into plain JSON: named tuples become objects,
+// bigints become decimal strings.
+function toPlain(value) {
+    if (typeof value === 'bigint') {
+        return value.toString();
+    }
+    if (Array.isArray(value)) {
+        const keys = resultKeys(value);
+        if (keys) {
+            return Object.fromEntries(keys.map(key => [key, toPlain(value[key])]));
+        }
+        return [...value].map(toPlain);
+    }
+    return value;
+}
+
+function decodeParams(types, data) {
+    const names = types.map(type => type.slice(type.lastIndexOf(' ') + 1));
+    const values = abi.decode(types, data);
+    return Object.fromEntries(names.map((name, i) => [name, toPlain(values[i])]));
+}
+
+// V3 paths pack token (20 bytes) / fee (3 bytes) / token ...; exact-output
+// paths are stored in reverse, from the output token back to the input.
+export function decodeV3Path(path) {
+    const bytes = getBytes(path);
+    const tokens = [];
+    const fees = [];
+
+    let offset = 0;
+    while (true) {
+        tokens.push(getAddress(hexlify(bytes.slice(offset, offset + 20))));
+        offset += 20;
+        if (offset >= bytes.length) break;
+        fees.push((bytes[offset] << 16) | (bytes[offset + 1] << 8) | bytes[offset + 2]);
+        offset += 3;
+    }
+
+    return { tokens, fees };
+}
+
+export function decodeV4Actions(actions, params) {
+    const actionBytes = getBytes(actions);
+
+    return [...actionBytes].map((opcode, index) => {
+        const spec = V4_ACTIONS[opcode];
+        const step = {
+            index,
+            action: spec ? spec.name : 'UNKNOWN',
+            opcode: `0x${opcode.toString(16).padStart(2, '0')}`,
+        };
+
+        if (!spec) {
+            return { ...step, input: params[index] };
+        }
+
+        try {
+            const decoded = decodeParams(spec.types, params[index]);
+            return { ...step, params: decoded.params ?? decoded };
+        } catch (error) {
+            return { ...step, input: params[index], error: error.shortMessage || error.message };
+        }
+    });
+}
+
+function decodeCommand(opcode, input, index) {
+    const type = opcode & COMMAND_TYPE_MASK;
+    const spec = COMMANDS[type];
+    const step = {
+        index,
+        command: spec ? spec.name : 'UNKNOWN',
+        opcode: `0x${type.toString(16).padStart(2, '0')}`,
+        allowRevert: (opcode & FLAG_ALLOW_REVERT) !== 0,
+    };
+
+    if (!spec || !spec.types) {
+        return { ...step, input };
+    }
+
+    try {
+        const params = decodeParams(spec.types, input);
+
+        if (spec.name === 'V3_SWAP_EXACT_IN' || spec.name === 'V3_SWAP_EXACT_OUT') {
+            params.path = { raw: params.path, ...decodeV3Path(params.path) };
+        } else if (spec.name === 'V4_SWAP') {
+            return { ...step, actions: decodeV4Actions(params.actions, params.params) };
+        } else if (spec.name === 'EXECUTE_SUB_PLAN') {
+            return { ...step, steps: decodeCommands(params.commands, params.inputs) };
+        }
+
+        return { ...step, params };
+    } catch (error) {
+        return { ...step, input, error: error.shortMessage || error.message };
+    }
+}
+
+export function decodeCommands(commands, inputs) {
+    const opcodes = getBytes(commands);
+    if (opcodes.length !== inputs.length) {
+        throw new Error(`Router call has ${opcodes.length} commands but ${inputs.length} inputs`);
+    }
+    return [...opcodes].map((opcode, index) => decodeCommand(opcode, inputs[index], index));
+}
+
+// Decodes Universal Router `execute` calldata into one JSON step per
+// command, with V4_SWAP actions and sub-plans decoded recursively.
+export function decodeExecute(calldata) {
+    const data = calldata.startsWith('0x') ? calldata : `0x${calldata}`;
+    if (dataLength(data) < 4) {
+        throw new Error('Calldata is shorter than a function selector');
+    }
+
+    const tx = UNIVERSAL_ROUTER_INTERFACE.parseTransaction({ data });
+    if (!tx) {
+        throw new Error(`Selector ${dataSlice(data, 0, 4)} is not a Universal Router execute() call`);
+    }
+
+    const [commands, inputs, deadline] = tx.args;
+
+    return {
+        function: tx.signature,
+        selector: tx.selector,
+        deadline: deadline === undefined ? null : deadline.toString(),
+        steps: decodeCommands(commands, inputs),
+    };
+}
@@ -0,0 +1,116 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { AbiCoder, ZeroAddress, concat, getAddress, toBeHex, zeroPadValue } from 'ethers';
+import { UNIVERSAL_ROUTER_INTERFACE, decodeExecute } from './universalRouter.js';
+
+const abi = AbiCoder.defaultAbiCoder();
+
+const USDC = getAddress('0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48');
+const WETH = getAddress('0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2');
+const RECIPIENT = getAddress(`0x${'bb'.repeat(20)}`);
+const DEADLINE = 1736121600n;
+
+const POOL_KEY = 'tuple(address currency0, address currency1, uint24 fee, int24 tickSpacing, address hooks)';
+const PERMIT_SINGLE = 'tuple(tuple(address token, uint160 amount, uint48 expiration, uint48 nonce) details, address spender, uint256 sigDeadline)';
+
+function execute(commands, inputs) {
+    return UNIVERSAL_ROUTER_INTERFACE.encodeFunctionData('execute(bytes,bytes[],uint256)', [concat(commands.map(c => toBeHex(c, 1))), inputs, DEADLINE]);
+}
+
+// USDC -> 0.05% -> WETH, packed the way the router expects
+const V3_PATH = concat([USDC, toBeHex(500, 3), WETH]);
+
+const v3ExactIn = abi.encode(
+    ['address', 'uint256', 'uint256', 'bytes', 'bool'],
+    [RECIPIENT, 1000n * 10n ** 6n, 3n * 10n ** 17n, V3_PATH, true]
+);
+
+const wrapEth = abi.encode(['address', 'uint256'], [RECIPIENT, 10n ** 18n]);
+
+const permit2Permit = abi.encode(
+    [PERMIT_SINGLE, 'bytes'],
+    [[[USDC, 1000n * 10n ** 6n, 1767657600n, 3n], RECIPIENT, DEADLINE], `0x${'11'.repeat(65)}`]
+);
+
+// SWAP_EXACT_IN_SINGLE, SETTLE_ALL, TAKE_ALL: the usual single-pool V4 plan
+const v4Swap = abi.encode(['bytes', 'bytes[]'], [
+    '0x060c0f',
+    [
+        abi.encode(
+            [`tuple(${POOL_KEY} poolKey, bool zeroForOne, uint128 amountIn, uint128 amountOutMinimum, bytes hookData)`],
+            [[[ZeroAddress, USDC, 500, 10, ZeroAddress], true, 10n ** 18n, 2000n * 10n ** 6n, '0x']]
+        ),
+        abi.encode(['address', 'uint256'], [ZeroAddress, 10n ** 18n]),
+        abi.encode(['address', 'uint256'], [USDC, 2000n * 10n ** 6n]),
+    ],
+]);
+
+test('decodes execute() calldata with V3, V4, WRAP_ETH and PERMIT2 commands', () => {
+    const decoded = decodeExecute(execute([0x0a, 0x0b, 0x00, 0x10], [permit2Permit, wrapEth, v3ExactIn, v4Swap]));
+
+    assert.equal(decoded.function, 'execute(bytes,bytes[],uint256)');
+    assert.equal(decoded.selector, '0x3593564c');
+    assert.equal(decoded.deadline, DEADLINE.toString());
+    assert.deepEqual(decoded.steps.map(step => step.command), ['PERMIT2_PERMIT', 'WRAP_ETH', 'V3_SWAP_EXACT_IN', 'V4_SWAP']);
+
+    const [permit, wrap, v3] = decoded.steps;
+    assert.deepEqual(permit.params.permitSingle.details, { token: USDC, amount: '1000000000', expiration: '1767657600', nonce: '3' });
+    assert.equal(permit.params.permitSingle.spender, RECIPIENT);
+    assert.deepEqual(wrap.params, { recipient: RECIPIENT, amountMin: '1000000000000000000' });
+
+    assert.equal(v3.params.amountIn, '1000000000');
+    assert.equal(v3.params.payerIsUser, true);
+    assert.deepEqual(v3.params.path.tokens, [USDC, WETH]);
+    assert.deepEqual(v3.params.path.fees, [500]);
+});
+
+test('decodes the V4 actions nested in V4_SWAP', () => {
+    const [{ actions }] = decodeExecute(execute([0x10], [v4Swap])).steps;
+
+    assert.deepEqual(actions.map(action => action.action), ['SWAP_EXACT_IN_SINGLE', 'SETTLE_ALL', 'TAKE_ALL']);
+    const [swap, settle, take] = actions;
+    assert.deepEqual(swap.params.poolKey, { currency0: ZeroAddress, currency1: USDC, fee: '500', tickSpacing: '10', hooks: ZeroAddress });
+    assert.equal(swap.params.zeroForOne, true);
+    assert.equal(swap.params.amountIn, '1000000000000000000');
+    assert.deepEqual(settle.params, { currency: ZeroAddress, maxAmount: '1000000000000000000' });
+    assert.deepEqual(take.params, { currency: USDC, minAmount: '2000000000' });
+});
+
+test('keeps one-element arrays as arrays', () => {
+    const PATH_KEY = 'tuple(address intermediateCurrency, uint24 fee, int24 tickSpacing, address hooks, bytes hookData)';
+    const exactIn = abi.encode(
+        [`tuple(address currencyIn, ${PATH_KEY}[] path, uint128 amountIn, uint128 amountOutMinimum)`],
+        [[ZeroAddress, [[USDC, 500, 10, ZeroAddress, '0x']], 10n ** 18n, 0n]]
+    );
+    const plan = abi.encode(['bytes', 'bytes[]'], ['0x07', [exactIn]]);
+    const [{ actions }] = decodeExecute(execute([0x10], [plan])).steps;
+
+    assert.equal(actions.length, 1);
+    assert.deepEqual(actions[0].params.path, [{ intermediateCurrency: USDC, fee: '500', tickSpacing: '10', hooks: ZeroAddress, hookData: '0x' }]);
+});
+
+test('reads the allow-revert flag from the top bit of the command byte', () => {
+    const steps = decodeExecute(execute([0x80 | 0x0b, 0x0b], [wrapEth, wrapEth])).steps;
+
+    assert.equal(steps[0].command, 'WRAP_ETH');
+    assert.equal(steps[0].opcode, '0x0b');
+    assert.equal(steps[0].allowRevert, true);
+    assert.equal(steps[1].allowRevert, false);
+});
+
+test('keeps the raw input of unknown commands and actions', () => {
+    const unknownInput = zeroPadValue('0x2a', 32);
+    const [command] = decodeExecute(execute([0x3f], [unknownInput])).steps;
+    assert.deepEqual(command, { index: 0, command: 'UNKNOWN', opcode: '0x3f', allowRevert: false, input: unknownInput });
+
+    const plan = abi.encode(['bytes', 'bytes[]'], ['0x7f', [unknownInput]]);
+    const [{ actions: [action] }] = decodeExecute(execute([0x10], [plan])).steps;
+    assert.deepEqual(action, { index: 0, action: 'UNKNOWN', opcode: '0x7f', input: unknownInput });
+});
+
+test('rejects calldata that is not an execute() call', () => {
+    assert.throws(() => decodeExecute('0x1234'), /shorter than a function selector/);
+    assert.throws(() => decodeExecute('0xdeadbeef'), /not a Universal Router execute\(\) call/);
+    const mismatched = UNIVERSAL_ROUTER_INTERFACE.encodeFunctionData('execute(bytes,bytes[],uint256)', ['0x0b0b', [wrapEth], DEADLINE]);
+    assert.throws(() => decodeExecute(mismatched), /2 commands but 1 inputs/);
+});
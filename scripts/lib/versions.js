@@ -0,0 +1,84 @@
+import {
+    BUNDLE_QUERY,
+    PAIR_BUNDLE_QUERY,
+    PAIR_DAY_DATAS_QUERY,
+    PAIR_DETAILS_QUERY,
+    PAIR_SWAPS_QUERY,
+    POOL_DAY_DATAS_QUERY,
+    POOL_DETAILS_QUERY,
+    POOL_SWAPS_QUERY,
+    V4_POOL_DETAILS_QUERY,
+} from './queries.js';
+
+export const PROTOCOL_VERSIONS = ['v2', 'v3', 'v4'];
+export const DEFAULT_VERSION = 'v4';
+
+// Every V2 pair charges 0.3%, expressed like V3/V4 fee tiers (hundredths of a bip)
+export const V2_FEE_TIER = '3000';
+
+function normalizePair(pair) {
+    return { ...pair, feeTier: V2_FEE_TIER, totalValueLockedUSD: pair.reserveUSD };
+}
+
+// V2 swaps report what went in and out of each token; everything downstream
+// expects V3/V4-style signed amounts from the pool's side (positive = paid in).
+// The subgraph's logIndex can be null; swapIndex, the swap's ordinal among the
+// transaction's V2 swaps (the id suffix), still orders them.
+function normalizePairSwap(swap) {
+    return {
+        id: swap.id,
+        timestamp: swap.timestamp,
+        logIndex: swap.logIndex ?? null,
+        swapIndex: Number(swap.id.split('-')[1]),
+        origin: swap.from,
+        sender: swap.sender,
+        transaction: swap.transaction,
+        amount0: String(parseFloat(swap.amount0In) - parseFloat(swap.amount0Out)),
+        amount1: String(parseFloat(swap.amount1In) - parseFloat(swap.amount1Out)),
+        amountUSD: swap.amountUSD,
+        pool: { id: swap.pair.id, feeTier: V2_FEE_TIER },
+    };
+}
+
+function normalizeDayData(dayDatas, tvlField) {
+    return Array.isArray(dayDatas)
+        ? dayDatas.map(day => ({ date: Number(day.date), tvlUSD: parseFloat(day[tvlField]) }))
+        : null;
+}
+
+// How to read pools, swaps, daily TVL and the ETH price from each protocol
+// version's subgraph. The V4 subgraph schema grew out of V3's and the fields
+// read here are the same in both, so V3 shares the V4 queries apart from
+// V4's hooks.
+export const SUBGRAPH_ADAPTERS = {
+    v2: {
+        detailsQuery: PAIR_DETAILS_QUERY,
+        swapsQuery: PAIR_SWAPS_QUERY,
+        pool: data => (data.pair ? normalizePair(data.pair) : null),
+        swaps: data => (Array.isArray(data.swaps) ? data.swaps.map(normalizePairSwap) : null),
+        tvlQuery: PAIR_DAY_DATAS_QUERY,
+        tvl: data => normalizeDayData(data.pairDayDatas, 'reserveUSD'),
+        ethPriceQuery: PAIR_BUNDLE_QUERY,
+        ethPrice: data => (data.bundle ? parseFloat(data.bundle.ethPrice) : null),
+    },
+    v3: {
+        detailsQuery: POOL_DETAILS_QUERY,
+        swapsQuery: POOL_SWAPS_QUERY,
+        pool: data => data.pool ?? null,
+        swaps: data => (Array.isArray(data.swaps) ? data.swaps : null),
+        tvlQuery: POOL_DAY_DATAS_QUERY,
+        tvl: data => normalizeDayData(data.poolDayDatas, 'tvlUSD'),
+        ethPriceQuery: BUNDLE_QUERY,
+        ethPrice: data => (data.bundle ? parseFloat(data.bundle.ethPriceUSD) : null),
+    },
+    v4: {
+        detailsQuery: V4_POOL_DETAILS_QUERY,
+        swapsQuery: POOL_SWAPS_QUERY,
+        pool: data => data.pool ?? null,
+        swaps: data => (Array.isArray(data.swaps) ? data.swaps : null),
+        tvlQuery: POOL_DAY_DATAS_QUERY,
+        tvl: data => normalizeDayData(data.poolDayDatas, 'tvlUSD'),
+        ethPriceQuery: BUNDLE_QUERY,
+        ethPrice: data => (data.bundle ? parseFloat(data.bundle.ethPriceUSD) : null),
+    },
+};
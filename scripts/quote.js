@@ -0,0 +1,147 @@
+import fs from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { formatUnits, parseUnits } from 'ethers';
+import { loadChains } from './lib/config.js';
+import { DEFAULT_ESTIMATED_FEE, isDynamicFee } from './lib/fees.js';
+import { fetchPoolSnapshot, loadSnapshot, simulateSwap } from './lib/quoter.js';
+import { DEFAULT_VERSION } from './lib/versions.js';
+
+dotenv.config({ quiet: true });
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const CONFIG_PATH = path.join(__dirname, '../pools.config.json');
+
+const USAGE = `Usage: npm run quote -- <snapshot.json | CHAIN:POOL_ID> --in <token> --amount <n> [options]
+
+Simulates a swap against a V3 or V4 pool's liquidity with the contracts'
+integer math and prints amount in/out, fee paid, ticks crossed and price
+impact.
+
+  <snapshot.json>   a saved pool snapshot (see --save)
+  CHAIN:POOL_ID     fetch the pool's current state from the chain's subgraph
+                    for the pool's version
+  --version <v>     v3 or v4, for pools not in pools.config.json (default v4)
+  --in <token>      token sold: token0, token1 or its symbol
+  --amount <n>      amount in token units (e.g. 1.5); the input amount, or the
+                    output wanted with --exact-output
+  --exact-output    quote the input needed for --amount out
+  --fee <pips>      fee in hundredths of a bip (3000 = 0.3%); defaults to the
+                    pool's fee tier, or its estimatedFee for dynamic-fee pools
+  --save <file>     write the fetched snapshot to a file for offline quoting
+`;
+
+function parseArgs(argv) {
+    const args = { source: null, exactOutput: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--exact-output') args.exactOutput = true;
+        else if (arg === '--in') args.tokenIn = argv[++i];
+        else if (arg === '--amount') args.amount = argv[++i];
+        else if (arg === '--fee') args.fee = Number(argv[++i]);
+        else if (arg === '--save') args.save = argv[++i];
+        else if (arg === '--version') args.version = argv[++i];
+        else if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`);
+        else args.source = arg;
+    }
+    return args;
+}
+
+async function loadPool(source, version) {
+    if (fs.existsSync(source)) {
+        return { snapshot: loadSnapshot(source), poolConfig: null };
+    }
+
+    const [chainName, poolId] = source.split(':');
+    if (!poolId) {
+        throw new Error(`${source} is neither a snapshot file nor CHAIN:POOL_ID`);
+    }
+    const chain = loadChains(CONFIG_PATH).find(c => c.name === chainName.toUpperCase());
+    if (!chain) {
+        throw new Error(`Chain ${chainName} is not configured with a subgraph endpoint`);
+    }
+
+    const id = poolId.toLowerCase();
+    const poolConfig = chain.pools.find(pool => pool.id === id) ?? null;
+    const snapshot = await fetchPoolSnapshot(chain, id, version ?? poolConfig?.version ?? DEFAULT_VERSION);
+    return { snapshot, poolConfig };
+}
+
+function resolveFee(snapshot, poolConfig, fee) {
+    if (fee !== undefined) return fee;
+    if (!isDynamicFee(snapshot.fee)) return snapshot.fee;
+
+    const estimated = poolConfig?.estimatedFee ?? DEFAULT_ESTIMATED_FEE;
+    console.error(`⚠️  Dynamic-fee pool, quoting with an estimated fee of ${estimated} (use --fee to override)`);
+    return estimated;
+}
+
+async function main() {
+    const argv = process.argv.slice(2);
+    if (argv.includes('--help') || argv.includes('-h')) {
+        console.log(USAGE);
+        process.exit(0);
+    }
+
+    const args = parseArgs(argv);
+    if (!args.source || !args.tokenIn || !args.amount) {
+        console.log(USAGE);
+        process.exit(1);
+    }
+
+    const { snapshot, poolConfig } = await loadPool(args.source, args.version);
+    if (args.save) {
+        fs.writeFileSync(args.save, JSON.stringify(snapshot, null, 2));
+        console.error(`✅ Snapshot saved to ${args.save}`);
+    }
+
+    const { token0, token1 } = snapshot;
+    const tokenIn = args.tokenIn.toLowerCase();
+    const zeroForOne = tokenIn === 'token0' || tokenIn === token0.symbol?.toLowerCase() || tokenIn === token0.id?.toLowerCase();
+    const oneForZero = tokenIn === 'token1' || tokenIn === token1.symbol?.toLowerCase() || tokenIn === token1.id?.toLowerCase();
+    if (zeroForOne === oneForZero) {
+        throw new Error(`--in ${args.tokenIn} does not pick exactly one of ${token0.symbol} / ${token1.symbol}`);
+    }
+
+    const [sold, bought] = zeroForOne ? [token0, token1] : [token1, token0];
+    const amountToken = args.exactOutput ? bought : sold;
+    const quote = simulateSwap(snapshot, {
+        zeroForOne,
+        exactInput: !args.exactOutput,
+        amount: parseUnits(args.amount, amountToken.decimals),
+        feePips: resolveFee(snapshot, poolConfig, args.fee),
+    });
+
+    // Spot prices as token1 per token0, in token units
+    const decimalsShift = 10 ** (token0.decimals - token1.decimals);
+
+    console.log(JSON.stringify({
+        pool: snapshot.poolId,
+        pair: `${token0.symbol}/${token1.symbol}`,
+        direction: `${sold.symbol} → ${bought.symbol}`,
+        exactInput: quote.exactInput,
+        fee: quote.fee,
+        amountIn: formatUnits(quote.amountIn, sold.decimals),
+        amountOut: formatUnits(quote.amountOut, bought.decimals),
+        feePaid: formatUnits(quote.feePaid, sold.decimals),
+        filled: quote.filled,
+        ticksCrossed: quote.ticksCrossed,
+        tickBefore: quote.tickBefore,
+        tickAfter: quote.tickAfter,
+        priceBefore: quote.priceBefore * decimalsShift,
+        priceAfter: quote.priceAfter * decimalsShift,
+        priceImpactPercent: quote.priceImpact * 100,
+    }, null, 2));
+
+    if (!quote.filled) {
+        console.error('⚠️  Pool liquidity ran out before the amount was filled');
+    }
+}
+
+main().catch(err => {
+    console.error(`\nFatal error: ${err.message}`);
+    process.exit(1);
+});
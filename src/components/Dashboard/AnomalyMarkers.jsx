@@ -0,0 +1,38 @@
+import React from 'react';
+import { Bar, Cell } from 'recharts';
+import { AlertTriangle } from 'lucide-react';
+
+// Bars of periods the fetcher flagged as unusual
+const ANOMALY_COLOR = '#f5a623';
+
+// The chart's single-series bars, with flagged periods highlighted. `data`
+// are the chart's rows, each carrying its period's `anomalies`.
+export const AnomalyBar = ({ data, dataKey, name }) => (
+    <Bar
+        dataKey={dataKey}
+        name={name}
+        radius={[4, 4, 0, 0]}
+        maxBarSize={30}
+        animationDuration={1000}
+        fill={'var(--accent-primary)'}
+    >
+        {data.map(item => (
+            <Cell key={item.name} fill={item.anomalies?.length > 0 ? ANOMALY_COLOR : 'var(--accent-primary)'} />
+        ))}
+    </Bar>
+);
+
+// Tooltip heading of a period, followed by the reasons it was flagged
+export const AnomalyLabel = ({ label, flags }) => {
+    if (!flags?.length) return label;
+    return (
+        <>
+            {label}
+            {flags.map((flag, index) => (
+                <span key={index} className="anomaly-note">
+                    <AlertTriangle size={12} /> {flag.pool}: {flag.message}
+                </span>
+            ))}
+        </>
+    );
+};
@@ -0,0 +1,40 @@
+import React from 'react';
+import { Area, Bar } from 'recharts';
+
+// Series of the ALL view's chain breakdowns, drawn inside the main chart:
+// `By Chain` stacks each chain's bars, `Share` each chain's percentage of the
+// period's total. Clicking a chain's bars drills down into it.
+const ChainBreakdown = ({ mode, chains, metricKey, chainColor, onSelectChain }) => {
+    if (mode === 'Share') {
+        return chains.map(chain => (
+            <Area
+                key={chain}
+                type="monotone"
+                dataKey={`share.${chain}`}
+                name={chain}
+                stackId="share"
+                stroke={chainColor(chain)}
+                fill={chainColor(chain)}
+                fillOpacity={0.6}
+                animationDuration={1000}
+            />
+        ));
+    }
+
+    return chains.map((chain, index) => (
+        <Bar
+            key={chain}
+            dataKey={`byChain.${chain}.${metricKey}`}
+            name={chain}
+            stackId="chains"
+            radius={index === chains.length - 1 ? [4, 4, 0, 0] : [0, 0, 0, 0]}
+            maxBarSize={30}
+            animationDuration={1000}
+            fill={chainColor(chain)}
+            cursor="pointer"
+            onClick={() => onSelectChain(chain)}
+        />
+    ));
+};
+
+export default ChainBreakdown;
@@ -0,0 +1,45 @@
+import React from 'react';
+import { formatCurrency, formatPercent } from './format';
+
+// Each chain's figures for the last period in range; a row drills down into its chain
+const ChainTable = ({ rows, periodTitle, hasTvlData, chainColor, onSelectChain }) => (
+    <div className="chain-table-section glass-card">
+        <div className="chart-header">
+            <h2>Chains</h2>
+            <span className="routes-week">{periodTitle} figures, last period in range</span>
+        </div>
+        <table className="chain-table">
+            <thead>
+                <tr>
+                    <th>Chain</th>
+                    <th>Volume</th>
+                    <th>Fees</th>
+                    <th>Volume Δ</th>
+                    {hasTvlData && <th>Avg TVL</th>}
+                    {hasTvlData && <th>Fee APR</th>}
+                    <th>Fee Tiers</th>
+                </tr>
+            </thead>
+            <tbody>
+                {rows.map(row => (
+                    <tr key={row.chain} onClick={() => onSelectChain(row.chain)}>
+                        <td>
+                            <span className="chain-swatch" style={{ background: chainColor(row.chain) }}></span>
+                            {row.chain}
+                        </td>
+                        <td>{formatCurrency(row.volume)}</td>
+                        <td>{formatCurrency(row.fees)}</td>
+                        <td className={row.volumeDelta === null ? '' : (row.volumeDelta >= 0 ? 'positive' : 'negative')}>
+                            {row.volumeDelta === null ? '-' : `${row.volumeDelta >= 0 ? '+' : ''}${row.volumeDelta.toFixed(1)}%`}
+                        </td>
+                        {hasTvlData && <td>{row.tvl === null ? '-' : formatCurrency(row.tvl)}</td>}
+                        {hasTvlData && <td>{formatPercent(row.feeApr)}</td>}
+                        <td>{row.feeTiers.join(', ')}</td>
+                    </tr>
+                ))}
+            </tbody>
+        </table>
+    </div>
+);
+
+export default ChainTable;
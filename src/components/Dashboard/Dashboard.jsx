@@ -1,15 +1,18 @@
-import React, { useEffect, useState, useMemo } from 'react';
-import { BarChart, Bar, XAxis, YAxis, Tooltip, ResponsiveContainer, Cell, Legend } from 'recharts';
-import { ArrowUpRight, ArrowDownRight, Activity, DollarSign, Layers, Sun, Moon, AlertTriangle } from 'lucide-react';
+import React, { useCallback, useEffect, useRef, useState, useMemo } from 'react';
+import { BarChart, Bar, ComposedChart, Area, Line, ReferenceLine, XAxis, YAxis, Tooltip, ResponsiveContainer, Legend } from 'recharts';
+import { ArrowUpRight, ArrowDownRight, Activity, DollarSign, Layers, Sun, Moon, AlertTriangle, Repeat, Scale, Users, Percent } from 'lucide-react';
+import { currentUrl, parseView, viewUrl } from './urlState';
+import { formatCount, formatCurrency, formatPercent, formatPoolLabel, poolVersion } from './format';
+import ChainTable from './ChainTable';
+import ChainBreakdown from './ChainBreakdown';
+import TradeMetrics from './TradeMetrics';
+import LiquidityTable from './LiquidityTable';
+import { AnomalyBar, AnomalyLabel } from './AnomalyMarkers';
+import ExportMenu from './ExportMenu';
+import { exportFileName } from './exportData';
+import { estimateUniqueTraders, medianSize, mergeIntoRegisters, SIZE_BUCKETS_PER_DECADE, TRADE_COUNTERS } from '../../../scripts/lib/tradeMetrics.js';
 import './Dashboard.css';
 
-const formatCurrency = (value) => {
-    if (value >= 1e9) return `$${(value / 1e9).toFixed(1)}B`;
-    if (value >= 1e6) return `$${(value / 1e6).toFixed(1)}M`;
-    if (value >= 1e3) return `$${(value / 1e3).toFixed(1)}K`;
-    return `$${value.toFixed(1)}`;
-};
-
 const formatFullCurrency = (value) => {
     return new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD', minimumFractionDigits: 2, maximumFractionDigits: 2 }).format(value);
 };
@@ -33,12 +36,215 @@ const formatFeeSmart = (feeStr) => {
     return `${formatted}%`;
 };
 
+const EXECUTION_PATHS = [
+    { key: 'universalRouter', label: 'Universal Router', color: '#ff007a' },
+    { key: 'aggregator', label: 'Aggregators', color: '#6347c9' },
+    { key: 'otherContract', label: 'Other Contracts', color: '#17cac6' },
+    { key: 'direct', label: 'Direct PoolManager', color: '#f5a623' },
+];
+
+const CHAIN_COLORS = ['#ff007a', '#6347c9', '#17cac6', '#f5a623', '#27d17f', '#4c82fb', '#ff6b6b', '#b7b7b7'];
+
+const PROTOCOL_VERSIONS = [
+    { key: 'v2', label: 'V2', color: '#f5a623' },
+    { key: 'v3', label: 'V3', color: '#6347c9' },
+    { key: 'v4', label: 'V4', color: '#ff007a' },
+];
+
+// Hooked V4 pools are grouped by their registry category, or by what their
+// permission flags allow; V2/V3 and hookless pools share one group
+const NO_HOOK = 'No hook';
+const HOOK_COLORS = ['#b7b7b7', '#ff007a', '#6347c9', '#17cac6', '#f5a623', '#27d17f', '#4c82fb'];
+const hookCategory = (pool) => pool?.hooks?.category ?? NO_HOOK;
+
+// The local API server (npm run api) when VITE_API_URL is set, else the static file
+const DATA_URL = import.meta.env.VITE_API_URL
+    ? `${import.meta.env.VITE_API_URL.replace(/\/+$/, '')}/api/data`
+    : '/uniswap_data.json';
+
+const THEME_STORAGE_KEY = 'uniswap-dashboard-theme';
+
+const setMetaContent = (attribute, key, content) => {
+    let tag = document.head.querySelector(`meta[${attribute}="${key}"]`);
+    if (!tag) {
+        tag = document.createElement('meta');
+        tag.setAttribute(attribute, key);
+        document.head.appendChild(tag);
+    }
+    tag.setAttribute('content', content);
+};
+
+// Same pair across versions: V2/V3 trade WETH where V4 pools often use native ETH
+const pairKey = (pair) => pair
+    .split('/')
+    .map(symbol => (symbol === 'WETH' ? 'ETH' : symbol))
+    .sort()
+    .join('/');
+
+const GRANULARITIES = [
+    { key: 'Day', title: 'Daily', previous: 'previous day' },
+    { key: 'Week', title: 'Weekly', previous: 'previous week' },
+    { key: 'Month', title: 'Monthly', previous: 'previous month' },
+];
+
+// Bucket a YYYY-MM-DD day into its day, Monday-based week or month
+const periodKey = (date, granularity) => {
+    if (granularity === 'Day') return date;
+    if (granularity === 'Month') return `${date.slice(0, 7)}-01`;
+
+    const day = new Date(`${date}T00:00:00Z`);
+    const dayOfWeek = day.getUTCDay();
+    day.setUTCDate(day.getUTCDate() + (dayOfWeek === 0 ? -6 : 1 - dayOfWeek));
+    return day.toISOString().split('T')[0];
+};
+
+const formatPeriod = (date, granularity) => {
+    const options = granularity === 'Month'
+        ? { month: 'short', year: 'numeric', timeZone: 'UTC' }
+        : { month: 'short', day: 'numeric', timeZone: 'UTC' };
+    return new Date(date).toLocaleDateString('en-US', options);
+};
+
+const formatHour = (timestamp) => {
+    return new Date(timestamp * 1000).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', hour12: false, timeZone: 'UTC' });
+};
+
+const inDateRange = (date, range) => (!range.from || date >= range.from) && (!range.to || date <= range.to);
+
+// Trade stats come per pool and day and are merged here the same way the
+// fetcher merges days into weeks, with its bucket and sketch arithmetic.
+const emptyTrades = () => ({
+    ...Object.fromEntries(TRADE_COUNTERS.map(key => [key, 0])),
+    sizeBuckets: {},
+    registers: null,
+    uniqueTraders: 0
+});
+
+const addTrades = (target, trades) => {
+    TRADE_COUNTERS.forEach(key => {
+        target[key] += trades[key] ?? 0;
+    });
+    Object.entries(trades.sizeBuckets || {}).forEach(([bucket, count]) => {
+        target.sizeBuckets[bucket] = (target.sizeBuckets[bucket] ?? 0) + count;
+    });
+    if (trades.traders) {
+        target.registers = mergeIntoRegisters(target.registers, trades.traders);
+    } else {
+        // Weekly series carry only the estimate, which cannot be merged exactly
+        target.uniqueTraders = Math.max(target.uniqueTraders, trades.uniqueTraders ?? 0);
+    }
+};
+
+// Counters plus the derived figures the KPI cards and charts show
+const summarizeTrades = (trades) => ({
+    ...trades,
+    avgSize: trades.priced > 0 ? (trades.buyVolume + trades.sellVolume) / trades.priced : 0,
+    medianSize: trades.priced > 0 ? medianSize(trades) ?? 0 : 0,
+    uniqueTraders: trades.registers ? estimateUniqueTraders(trades.registers) : trades.uniqueTraders
+});
+
+// Size histogram with one bar per decade of USD
+const sizeHistogram = (trades) => {
+    const decades = {};
+    Object.entries(trades.sizeBuckets).forEach(([bucket, count]) => {
+        const decade = Math.floor(Number(bucket) / SIZE_BUCKETS_PER_DECADE);
+        decades[decade] = (decades[decade] ?? 0) + count;
+    });
+    return Object.keys(decades).map(Number).sort((a, b) => a - b).map(decade => ({
+        name: decade === 0 ? '< $10' : `${formatCurrency(10 ** decade).replace('.0', '')}–${formatCurrency(10 ** (decade + 1)).replace('.0', '')}`,
+        count: decades[decade]
+    }));
+};
+
+// Prices are token1 per token0; candles fold in time order
+const mergeCandle = (target, candle) => (target ? {
+    ...target,
+    high: Math.max(target.high, candle.high),
+    low: Math.min(target.low, candle.low),
+    close: candle.close
+} : { ...candle });
+
+const invertCandle = ({ open, high, low, close }) => ({ open: 1 / open, high: 1 / low, low: 1 / high, close: 1 / close });
+
+const formatPrice = (value) => {
+    if (Math.abs(value) >= 1000) return value.toLocaleString('en-US', { maximumFractionDigits: 2 });
+    return `${Number(value.toPrecision(5))}`;
+};
+
+// TVL is summed per day across pools and averaged over the days that have it;
+// fee APR and turnover follow the fetcher's definitions (scripts/lib/liquidity.js).
+// Weekly-only data files count each entry as seven days.
+const DAYS_PER_YEAR = 365;
+
+const addLiquidity = (target, item, itemDays) => {
+    if (!(item.tvl > 0)) return;
+    target.tvlSum = (target.tvlSum ?? 0) + item.tvl * itemDays;
+    target.tvlFees = (target.tvlFees ?? 0) + item.fees;
+    target.tvlVolume = (target.tvlVolume ?? 0) + item.volume;
+    target.tvlDates ??= new Set();
+    target.tvlDates.add(item.date);
+};
+
+const liquidityFigures = (target, itemDays) => {
+    if (!target?.tvlSum) return { tvl: null, feeApr: null, turnover: null };
+    const days = target.tvlDates.size * itemDays;
+    const tvl = target.tvlSum / days;
+    return { tvl, feeApr: target.tvlFees / days * DAYS_PER_YEAR / tvl, turnover: target.tvlVolume / tvl };
+};
+
+// Share of the range's volume the fetcher priced from token amounts and how
+// many swaps it could not price at all; null when every swap had a subgraph price
+const pricingCoverage = ({ volume, fallbackVolume, swaps, unpricedSwaps }) => {
+    if (fallbackVolume === 0 && unpricedSwaps === 0) return null;
+    return {
+        fallbackShare: volume > 0 ? fallbackVolume / volume : 0,
+        unpricedSwaps,
+        unpricedShare: swaps > 0 ? unpricedSwaps / swaps : 0
+    };
+};
+
+// A chain's health in the last run: `failed` and `partial` as the fetcher
+// reported them, `stale` when its data was carried over from an earlier run.
+// Files without a status block count every chain as ok.
+const chainHealth = (status, lastUpdated) => {
+    if (!status) return 'ok';
+    if (status.status !== 'ok') return status.status;
+    return status.lastSuccess === lastUpdated ? 'ok' : 'stale';
+};
+
+const formatTimestamp = (iso) => new Date(iso).toLocaleString('en-US', {
+    month: 'short', day: 'numeric', year: 'numeric', hour: '2-digit', minute: '2-digit', hour12: false, timeZone: 'UTC'
+});
+
+const healthMessage = (chain, status, health) => {
+    const since = status.lastSuccess ? `last fetched ${formatTimestamp(status.lastSuccess)} UTC` : 'no data fetched yet';
+    if (health === 'stale') return `${chain}: not refreshed by the last run, ${since}`;
+    const failedPools = Object.values(status.pools).filter(pool => pool.status !== 'ok').length;
+    const scope = failedPools > 0 ? ` (${failedPools} of ${Object.keys(status.pools).length} pools)` : '';
+    return `${chain}: ${health === 'failed' ? 'failed' : 'partially fetched'}${scope}, ${since}${status.error ? ` - ${status.error}` : ''}`;
+};
+
+const percentDelta = (current, previous) => {
+    return current !== undefined && current !== null && previous > 0 ? ((current - previous) / previous) * 100 : 0;
+};
+
 const Dashboard = () => {
+    // The view starts from the URL; the theme is remembered per browser
+    const [initialView] = useState(() => parseView(window.location));
     const [rawData, setRawData] = useState(null);
     const [loading, setLoading] = useState(true);
-    const [selectedChain, setSelectedChain] = useState('ALL');
-    const [activeTab, setActiveTab] = useState('Volume');
-    const [isDarkMode, setIsDarkMode] = useState(true);
+    const [selectedChain, setSelectedChain] = useState(initialView.chain);
+    const [selectedPool, setSelectedPool] = useState(initialView.pool);
+    const [activeTab, setActiveTab] = useState(initialView.tab);
+    const [breakdown, setBreakdown] = useState(initialView.breakdown);
+    const [selectedVersion, setSelectedVersion] = useState(initialView.version);
+    const [selectedHook, setSelectedHook] = useState(initialView.hook);
+    const [comparePair, setComparePair] = useState(null);
+    const [granularity, setGranularity] = useState(initialView.granularity);
+    const [dateRange, setDateRange] = useState({ from: initialView.from, to: initialView.to });
+    const [invertPrice, setInvertPrice] = useState(initialView.invert);
+    const [isDarkMode, setIsDarkMode] = useState(() => localStorage.getItem(THEME_STORAGE_KEY) !== 'light');
+    const chartRef = useRef(null);
 
     useEffect(() => {
         if (isDarkMode) {
@@ -46,20 +252,111 @@ const Dashboard = () => {
         } else {
             document.documentElement.classList.add('light-mode');
         }
+        localStorage.setItem(THEME_STORAGE_KEY, isDarkMode ? 'dark' : 'light');
     }, [isDarkMode]);
 
+    const applyView = useCallback((view) => {
+        setSelectedChain(view.chain);
+        setSelectedPool(view.pool);
+        setActiveTab(view.tab);
+        setBreakdown(view.breakdown);
+        setSelectedVersion(view.version);
+        setSelectedHook(view.hook);
+        setGranularity(view.granularity);
+        setDateRange({ from: view.from, to: view.to });
+        setInvertPrice(view.invert);
+    }, []);
+
+    // Back and forward restore the view of that history entry
+    useEffect(() => {
+        const onPopState = () => applyView(parseView(window.location));
+        window.addEventListener('popstate', onPopState);
+        return () => window.removeEventListener('popstate', onPopState);
+    }, [applyView]);
+
+    // Each view change becomes a history entry, except date edits, which
+    // replace the current one rather than adding one per keystroke, and the
+    // first sync, which only normalizes the URL the page was opened with
+    const urlSynced = useRef(false);
+    useEffect(() => {
+        const view = {
+            chain: selectedChain,
+            pool: selectedPool,
+            tab: activeTab,
+            breakdown,
+            version: selectedVersion,
+            hook: selectedHook,
+            granularity,
+            from: dateRange.from,
+            to: dateRange.to,
+            invert: invertPrice
+        };
+        const url = viewUrl(view);
+        const firstSync = !urlSynced.current;
+        urlSynced.current = true;
+        if (url === currentUrl()) return;
+
+        const previous = parseView(window.location);
+        const rangeOnly = viewUrl({ ...previous, from: view.from, to: view.to }) === url;
+        window.history[firstSync || rangeOnly ? 'replaceState' : 'pushState'](null, '', url);
+    }, [selectedChain, selectedPool, activeTab, breakdown, selectedVersion, selectedHook, granularity, dateRange, invertPrice]);
+
     useEffect(() => {
-        fetch('/uniswap_data.json')
+        fetch(DATA_URL)
             .then(res => res.json())
             .then(data => {
                 setRawData(data);
                 setLoading(false);
+                // A link to a chain that is not in the data shows all chains
+                const chains = [...Object.keys(data.chains || {}), ...Object.keys(data.status || {})];
+                if (initialView.chain !== 'ALL' && !chains.includes(initialView.chain)) {
+                    const view = { ...initialView, chain: 'ALL', pool: 'ALL' };
+                    window.history.replaceState(null, '', viewUrl(view));
+                    applyView(view);
+                }
             })
             .catch(err => {
                 console.error("Failed to load data", err);
                 setLoading(false);
             });
-    }, []);
+    }, [applyView, initialView]);
+
+    // Title and description name the view, for tabs, bookmarks and shared links
+    useEffect(() => {
+        const pool = selectedChain !== 'ALL' && selectedPool !== 'ALL'
+            ? rawData?.poolMetadata?.[selectedChain]?.[selectedPool]
+            : null;
+        const subject = pool ? `${pool.label} on ${selectedChain}` : (selectedChain === 'ALL' ? 'All Chains' : selectedChain);
+        const period = GRANULARITIES.find(({ key }) => key === granularity)?.title ?? '';
+        const range = dateRange.from || dateRange.to ? `, ${dateRange.from || 'start'} to ${dateRange.to || 'today'}` : '';
+        const title = `${subject} ${activeTab} · Uniswap V4 Analytics`;
+        const description = `${period} Uniswap ${activeTab.toLowerCase()} for ${subject}${range}.`;
+
+        document.title = title;
+        setMetaContent('name', 'description', description);
+        setMetaContent('property', 'og:title', title);
+        setMetaContent('property', 'og:description', description);
+        setMetaContent('property', 'og:url', window.location.href);
+    }, [rawData, selectedChain, selectedPool, activeTab, granularity, dateRange]);
+
+    // Older data files, and pools migrated from them, only carry weekly series
+    const hasDailyData = Object.values(rawData?.daily ?? {}).some(pools => Object.keys(pools).length > 0);
+    const activeGranularity = hasDailyData ? granularity : 'Week';
+
+    // First and last day with data, bounding the date-range picker
+    const dataBounds = useMemo(() => {
+        const series = rawData?.daily || rawData?.chains || {};
+        const dates = Object.values(series)
+            .flatMap(pools => Object.values(pools))
+            .flatMap(items => items.map(item => item.date))
+            .sort();
+        return { min: dates[0] ?? '', max: dates[dates.length - 1] ?? '' };
+    }, [rawData]);
+
+    const poolInView = useCallback((pool) => (
+        (selectedVersion === 'ALL' || poolVersion(pool) === selectedVersion)
+        && (selectedHook === 'ALL' || hookCategory(pool) === selectedHook)
+    ), [selectedVersion, selectedHook]);
 
     const processedData = useMemo(() => {
         if (!rawData || !rawData.chains) return null;
@@ -68,62 +365,435 @@ const Dashboard = () => {
             ? Object.keys(rawData.chains)
             : [selectedChain];
 
-        // Aggregate monthly data
-        const monthlyAgg = {};
+        // Aggregate per period of the selected granularity, within the date range
+        const periodAgg = {};
+        const rangeTrades = emptyTrades();
+        const rangePricing = { volume: 0, fallbackVolume: 0, swaps: 0, unpricedSwaps: 0 };
+        const poolAgg = {};
+        const periodFlags = {};
+        const itemDays = hasDailyData ? 1 : 7;
 
         chainsToAggregate.forEach(chainKey => {
-            const history = rawData.chains[chainKey];
-            history.forEach(item => {
-                if (!monthlyAgg[item.date]) {
-                    monthlyAgg[item.date] = { date: item.date, volume: 0, fees: 0 };
-                }
-                monthlyAgg[item.date].volume += item.volume;
-                monthlyAgg[item.date].fees += item.fees;
+            const pools = rawData.chains[chainKey] || {};
+            const poolsToAggregate = selectedChain === 'ALL' || selectedPool === 'ALL'
+                ? Object.keys(pools).filter(poolKey => poolInView(rawData.poolMetadata?.[chainKey]?.[poolKey]))
+                : [selectedPool];
+
+            poolsToAggregate.forEach(poolKey => {
+                const items = hasDailyData ? rawData.daily[chainKey]?.[poolKey] : pools[poolKey];
+                const poolTotals = { chain: chainKey, pool: rawData.poolMetadata?.[chainKey]?.[poolKey], volume: 0, fees: 0 };
+                const category = hookCategory(poolTotals.pool);
+                poolAgg[`${chainKey}:${poolKey}`] = poolTotals;
+
+                // The fetcher flags daily and weekly periods; coarser periods collect their weeks' flags
+                const flagSeries = hasDailyData && activeGranularity === 'Day' ? 'daily' : 'weekly';
+                const poolLabel = `${selectedChain === 'ALL' ? `${chainKey} ` : ''}${poolTotals.pool?.label ?? poolKey.slice(0, 10)}`;
+                (rawData.anomalies?.[chainKey]?.[poolKey]?.[flagSeries] || []).forEach(flag => {
+                    if (!inDateRange(flag.date, dateRange)) return;
+                    const key = hasDailyData ? periodKey(flag.date, activeGranularity) : flag.date;
+                    periodFlags[key] ??= [];
+                    periodFlags[key].push({ ...flag, pool: poolLabel });
+                });
+
+                (items || []).forEach(item => {
+                    if (!inDateRange(item.date, dateRange)) return;
+
+                    const key = hasDailyData ? periodKey(item.date, activeGranularity) : item.date;
+                    if (!periodAgg[key]) {
+                        periodAgg[key] = { date: key, volume: 0, fees: 0, estimatedFees: 0 };
+                    }
+                    periodAgg[key].volume += item.volume;
+                    periodAgg[key].fees += item.fees;
+                    periodAgg[key].estimatedFees += item.estimatedFees ?? 0;
+                    periodAgg[key].byChain ??= {};
+                    periodAgg[key].byChain[chainKey] ??= { volume: 0, fees: 0 };
+                    periodAgg[key].byChain[chainKey].volume += item.volume;
+                    periodAgg[key].byChain[chainKey].fees += item.fees;
+                    periodAgg[key].byHook ??= {};
+                    periodAgg[key].byHook[category] ??= { volume: 0, fees: 0 };
+                    periodAgg[key].byHook[category].volume += item.volume;
+                    periodAgg[key].byHook[category].fees += item.fees;
+                    addLiquidity(periodAgg[key], item, itemDays);
+                    addLiquidity(periodAgg[key].byChain[chainKey], item, itemDays);
+                    poolTotals.volume += item.volume;
+                    poolTotals.fees += item.fees;
+                    addLiquidity(poolTotals, item, itemDays);
+                    rangePricing.volume += item.volume;
+                    rangePricing.swaps += item.trades?.count ?? 0;
+                    if (item.pricing) {
+                        rangePricing.fallbackVolume += item.pricing.fallbackVolume;
+                        rangePricing.unpricedSwaps += item.pricing.unpricedSwaps;
+                    }
+                    if (item.trades) {
+                        periodAgg[key].trades ??= emptyTrades();
+                        addTrades(periodAgg[key].trades, item.trades);
+                        addTrades(rangeTrades, item.trades);
+                    }
+                    if (item.byPath) {
+                        periodAgg[key].byPath ??= Object.fromEntries(
+                            EXECUTION_PATHS.map(({ key }) => [key, { volume: 0, fees: 0 }])
+                        );
+                        EXECUTION_PATHS.forEach(({ key: pathKey }) => {
+                            periodAgg[key].byPath[pathKey].volume += item.byPath[pathKey]?.volume ?? 0;
+                            periodAgg[key].byPath[pathKey].fees += item.byPath[pathKey]?.fees ?? 0;
+                        });
+                    }
+                });
             });
         });
 
-        const history = Object.values(monthlyAgg).sort((a, b) => a.date.localeCompare(b.date));
+        const history = Object.values(periodAgg)
+            .map(item => ({
+                ...item,
+                ...liquidityFigures(item, itemDays),
+                ...(item.trades && { trades: summarizeTrades(item.trades) }),
+                anomalies: periodFlags[item.date] ?? []
+            }))
+            .sort((a, b) => a.date.localeCompare(b.date));
 
-        // Calculate Deltas (current week vs previous week)
-        const currentWeek = history[history.length - 1];
-        const previousWeek = history[history.length - 2];
+        // Calculate Deltas (last period in range vs the one before)
+        const currentPeriod = history[history.length - 1];
+        const previousPeriod = history[history.length - 2];
 
         let volumeDelta = 0;
         let feesDelta = 0;
 
-        if (currentWeek && previousWeek && previousWeek.volume > 0) {
-            volumeDelta = ((currentWeek.volume - previousWeek.volume) / previousWeek.volume) * 100;
+        if (currentPeriod && previousPeriod && previousPeriod.volume > 0) {
+            volumeDelta = ((currentPeriod.volume - previousPeriod.volume) / previousPeriod.volume) * 100;
         }
-        if (currentWeek && previousWeek && previousWeek.fees > 0) {
-            feesDelta = ((currentWeek.fees - previousWeek.fees) / previousWeek.fees) * 100;
+        if (currentPeriod && previousPeriod && previousPeriod.fees > 0) {
+            feesDelta = ((currentPeriod.fees - previousPeriod.fees) / previousPeriod.fees) * 100;
         }
 
+        // Per-chain figures for the last period in range and the delta vs the one before
+        const chainRows = chainsToAggregate.map(chainKey => {
+            const current = currentPeriod?.byChain?.[chainKey] ?? { volume: 0, fees: 0 };
+            const previous = previousPeriod?.byChain?.[chainKey];
+            const feeTiers = [...new Set(Object.values(rawData.poolMetadata?.[chainKey] || {})
+                .filter(poolInView)
+                .map(pool => (pool.dynamicFee ? 'Dynamic' : formatFeeSmart(pool.feePercent))))];
+            return {
+                chain: chainKey,
+                volume: current.volume,
+                fees: current.fees,
+                ...liquidityFigures(current, itemDays),
+                volumeDelta: previous?.volume > 0 ? ((current.volume - previous.volume) / previous.volume) * 100 : null,
+                feeTiers
+            };
+        }).sort((a, b) => b.volume - a.volume);
+
+        // Pools ranked by what they paid liquidity providers over the whole range
+        const poolRows = Object.values(poolAgg)
+            .map(totals => ({ ...totals, ...liquidityFigures(totals, itemDays) }))
+            .filter(row => row.pool && row.tvl !== null)
+            .sort((a, b) => b.feeApr - a.feeApr);
+
+        const currentTrades = currentPeriod?.trades;
+        const previousTrades = previousPeriod?.trades;
+
         return {
-            currentVolume: currentWeek ? currentWeek.volume : 0,
-            currentFees: currentWeek ? currentWeek.fees : 0,
+            chainRows,
+            poolRows,
+            currentTvl: currentPeriod?.tvl ?? null,
+            currentFeeApr: currentPeriod?.feeApr ?? null,
+            tvlDelta: percentDelta(currentPeriod?.tvl, previousPeriod?.tvl),
+            feeAprDelta: percentDelta(currentPeriod?.feeApr, previousPeriod?.feeApr),
+            trades: rangeTrades.count > 0 ? {
+                current: currentTrades,
+                countDelta: percentDelta(currentTrades?.count, previousTrades?.count),
+                avgSizeDelta: percentDelta(currentTrades?.avgSize, previousTrades?.avgSize),
+                tradersDelta: percentDelta(currentTrades?.uniqueTraders, previousTrades?.uniqueTraders),
+                range: summarizeTrades(rangeTrades),
+                histogram: sizeHistogram(rangeTrades)
+            } : null,
+            feesEstimated: history.some(item => item.estimatedFees > 0),
+            pricing: pricingCoverage(rangePricing),
+            hasAnomalies: history.some(item => item.anomalies.length > 0),
+            hasPathData: history.some(item => item.byPath),
+            hasTvlData: history.some(item => item.tvl !== null),
+            currentVolume: currentPeriod ? currentPeriod.volume : 0,
+            currentFees: currentPeriod ? currentPeriod.fees : 0,
             volumeDelta,
             feesDelta,
             history
         };
+    }, [rawData, hasDailyData, selectedChain, selectedPool, poolInView, activeGranularity, dateRange]);
+
+    // Weekly series per protocol version for one pair on the selected chain and
+    // date range, offered for pairs tracked in at least two versions
+    const versionComparison = useMemo(() => {
+        if (!rawData || selectedChain === 'ALL') return null;
+
+        const metadata = Object.values(rawData.poolMetadata?.[selectedChain] || {});
+        const versionsByPair = {};
+        metadata.forEach(pool => {
+            versionsByPair[pairKey(pool.pair)] ??= new Set();
+            versionsByPair[pairKey(pool.pair)].add(poolVersion(pool));
+        });
+        const pairs = Object.keys(versionsByPair).filter(pair => versionsByPair[pair].size > 1).sort();
+        if (pairs.length === 0) return null;
+
+        const pair = pairs.includes(comparePair) ? comparePair : pairs[0];
+        const weeks = {};
+        metadata.filter(pool => pairKey(pool.pair) === pair).forEach(pool => {
+            const version = poolVersion(pool);
+            (rawData.chains[selectedChain]?.[pool.poolId] || []).forEach(item => {
+                if (!inDateRange(item.date, dateRange)) return;
+                weeks[item.date] ??= {
+                    date: item.date,
+                    ...Object.fromEntries(PROTOCOL_VERSIONS.map(({ key }) => [key, { volume: 0, fees: 0 }]))
+                };
+                weeks[item.date][version].volume += item.volume;
+                weeks[item.date][version].fees += item.fees;
+            });
+        });
+
+        return {
+            pairs,
+            pair,
+            versions: PROTOCOL_VERSIONS.filter(({ key }) => versionsByPair[pair].has(key)),
+            history: Object.values(weeks).sort((a, b) => a.date.localeCompare(b.date))
+        };
+    }, [rawData, selectedChain, comparePair, dateRange]);
+
+    // Routes are reconstructed per chain, so they ignore the pool selection
+    const routeSummary = useMemo(() => {
+        if (!rawData?.routes) return null;
+
+        const routeChains = (selectedChain === 'ALL' ? Object.keys(rawData.routes) : [selectedChain])
+            .filter(chainKey => rawData.routes[chainKey]);
+        if (routeChains.length === 0) return null;
+
+        const weeklyAgg = {};
+        const hopDistribution = {};
+        const pathAgg = {};
+
+        routeChains.forEach(chainKey => {
+            const { weekly, hopDistribution: hops, topPaths } = rawData.routes[chainKey];
+            weekly.forEach(week => {
+                weeklyAgg[week.date] ??= { date: week.date, routes: 0, multiHopRoutes: 0, poolVolume: 0, userVolume: 0 };
+                weeklyAgg[week.date].routes += week.routes;
+                weeklyAgg[week.date].multiHopRoutes += week.multiHopRoutes;
+                weeklyAgg[week.date].poolVolume += week.poolVolume;
+                weeklyAgg[week.date].userVolume += week.userVolume;
+                if (week.missingPools) {
+                    weeklyAgg[week.date].missingPools = [...(weeklyAgg[week.date].missingPools ?? []), ...week.missingPools];
+                }
+            });
+            Object.entries(hops).forEach(([hopCount, count]) => {
+                hopDistribution[hopCount] = (hopDistribution[hopCount] ?? 0) + count;
+            });
+            topPaths.forEach(({ path, count, volume }) => {
+                pathAgg[path] ??= { path, count: 0, volume: 0 };
+                pathAgg[path].count += count;
+                pathAgg[path].volume += volume;
+            });
+        });
+
+        const weeks = Object.values(weeklyAgg).sort((a, b) => a.date.localeCompare(b.date));
+        const totalRoutes = Object.values(hopDistribution).reduce((sum, count) => sum + count, 0);
+
+        return {
+            currentWeek: weeks[weeks.length - 1],
+            hops: Object.entries(hopDistribution)
+                .map(([hopCount, count]) => ({ hopCount: Number(hopCount), count, share: count / totalRoutes * 100 }))
+                .sort((a, b) => a.hopCount - b.hopCount),
+            topPaths: Object.values(pathAgg).sort((a, b) => b.count - a.count).slice(0, 10)
+        };
     }, [rawData, selectedChain]);
 
+    const selectChain = (chain) => {
+        setSelectedChain(chain);
+        setSelectedPool('ALL');
+    };
+
+    const selectVersion = (version) => {
+        setSelectedVersion(version);
+        setSelectedPool('ALL');
+    };
+
+    const selectHook = (category) => {
+        setSelectedHook(category);
+        setSelectedPool('ALL');
+    };
+
     if (loading) return <div className="loading">Loading Uniswap V4 Data...</div>;
     if (!rawData) return <div className="error">Failed to load data. Please run the fetcher script.</div>;
 
-    const { currentVolume, currentFees, volumeDelta, feesDelta, history } = processedData || {};
+    const {
+        currentVolume, currentFees, volumeDelta, feesDelta, history, feesEstimated, hasPathData, chainRows, trades,
+        hasTvlData, currentTvl, currentFeeApr, tvlDelta, feeAprDelta, poolRows, pricing, hasAnomalies
+    } = processedData || {};
+
+    // Chains that failed keep their button, flagged, even without any series
+    const availableChains = ['ALL', ...new Set([...Object.keys(rawData.chains), ...Object.keys(rawData.status || {})])];
+    const chainNotices = Object.fromEntries(availableChains.slice(1).flatMap(chain => {
+        const health = chainHealth(rawData.status?.[chain], rawData.lastUpdated);
+        return health === 'ok' ? [] : [[chain, { chain, health, message: healthMessage(chain, rawData.status[chain], health) }]];
+    }));
+    const healthNotices = selectedChain === 'ALL'
+        ? Object.values(chainNotices)
+        : [chainNotices[selectedChain]].filter(Boolean);
+
+    const versionsInView = new Set(
+        (selectedChain === 'ALL' ? Object.keys(rawData.poolMetadata || {}) : [selectedChain])
+            .flatMap(chainKey => Object.values(rawData.poolMetadata?.[chainKey] || {}).map(poolVersion))
+    );
+    const availableVersions = PROTOCOL_VERSIONS.filter(({ key }) => versionsInView.has(key));
+
+    const hookCategories = [...new Set(
+        (selectedChain === 'ALL' ? Object.keys(rawData.poolMetadata || {}) : [selectedChain])
+            .flatMap(chainKey => Object.values(rawData.poolMetadata?.[chainKey] || {}).map(hookCategory))
+    )].sort((a, b) => (a === NO_HOOK ? -1 : b === NO_HOOK ? 1 : a.localeCompare(b)));
+    const hookColor = (category) => HOOK_COLORS[hookCategories.indexOf(category) % HOOK_COLORS.length];
+
+    const chainPoolMetadata = (selectedChain !== 'ALL' && rawData.poolMetadata?.[selectedChain]) || {};
+    const availablePools = Object.values(chainPoolMetadata).filter(poolInView);
+    const chainDiscovery = selectedChain !== 'ALL' ? rawData.discovery?.[selectedChain] : null;
+    const selectedPoolMetadata = selectedPool !== 'ALL'
+        ? chainPoolMetadata[selectedPool]
+        : (availablePools.length === 1 ? availablePools[0] : null);
 
-    // Chart Data Preparation - Show last 8 weeks
-    const chartData = history ? history.slice(-8).map(item => {
-        const date = new Date(item.date);
+    // Prices only make sense for a single pool
+    const priceHistory = selectedPoolMetadata
+        ? (rawData.daily?.[selectedChain]?.[selectedPoolMetadata.poolId] || []).filter(item => item.price)
+        : [];
+    const poolSymbols = selectedPoolMetadata ? selectedPoolMetadata.pair.split('/') : [];
+    const [baseSymbol, quoteSymbol] = invertPrice ? [...poolSymbols].reverse() : poolSymbols;
+
+    // Tabs without data for the current selection fall back to volume
+    const chartTab = (activeTab === 'Trades' && !trades)
+        || (activeTab === 'Price' && priceHistory.length === 0)
+        || (activeTab === 'TVL' && !hasTvlData)
+        ? 'Volume'
+        : activeTab;
+    const showTrades = chartTab === 'Trades';
+    const showTvl = chartTab === 'TVL';
+    const showPrice = chartTab === 'Price';
+    const metricKey = chartTab === 'Fees' ? 'fees' : 'volume';
+
+    // The ALL view can split bars by chain or show each chain's share of the total;
+    // trade counts are only split into buys and sells, and TVL is drawn with its
+    // fee APR. Prices are candles per period or per hour, and stablecoin pairs
+    // also show their deviation from 1:1.
+    let chartModes;
+    if (showPrice) {
+        chartModes = ['Candles', 'Hourly', ...(selectedPoolMetadata.stablePair ? ['Peg'] : [])];
+    } else if (showTrades || showTvl) {
+        chartModes = ['Total'];
+    } else {
+        chartModes = [
+            'Total',
+            ...(selectedChain === 'ALL' ? ['By Chain', 'Share'] : []),
+            ...(hasPathData ? ['By Path'] : []),
+            ...(hookCategories.length > 1 ? ['By Hook'] : [])
+        ];
+    }
+    const chartMode = chartModes.includes(breakdown) ? breakdown : chartModes[0];
+    const showPaths = chartMode === 'By Path';
+    const chainKeys = Object.keys(rawData.chains);
+    const chainColor = (chain) => CHAIN_COLORS[chainKeys.indexOf(chain) % CHAIN_COLORS.length];
+    const chartChains = chainRows ? chainRows.map(row => row.chain).reverse() : [];
+
+    const period = GRANULARITIES.find(({ key }) => key === activeGranularity);
+
+    // Chart Data Preparation - one bar per period in the date range
+    let chartData = history ? history.map(item => {
         return {
-            name: `${date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}`,
+            name: formatPeriod(item.date, activeGranularity),
             volume: item.volume,
             fees: item.fees,
+            byPath: item.byPath,
+            byChain: item.byChain,
+            byHook: item.byHook,
+            trades: item.trades,
+            tvl: item.tvl,
+            feeAprPercent: item.feeApr === null ? null : item.feeApr * 100,
+            anomalies: item.anomalies,
+            share: Object.fromEntries(chartChains.map(chain => [
+                chain,
+                item[metricKey] > 0 ? ((item.byChain?.[chain]?.[metricKey] ?? 0) / item[metricKey]) * 100 : 0
+            ])),
             originalDate: item.date
         };
     }) : [];
 
-    const availableChains = ['ALL', ...Object.keys(rawData.chains)];
+    if (showPrice) {
+        const candles = chartMode === 'Hourly'
+            ? (rawData.hourly?.[selectedChain]?.[selectedPoolMetadata.poolId] || [])
+                .filter(candle => inDateRange(new Date(candle.timestamp * 1000).toISOString().split('T')[0], dateRange))
+                .map(candle => ({ ...candle, name: formatHour(candle.timestamp) }))
+            : Object.values(priceHistory
+                .filter(item => inDateRange(item.date, dateRange))
+                .reduce((periods, item) => {
+                    const key = periodKey(item.date, activeGranularity);
+                    periods[key] = { ...mergeCandle(periods[key], item.price), name: formatPeriod(key, activeGranularity) };
+                    return periods;
+                }, {}));
+
+        chartData = candles.map(candle => {
+            const { open, high, low, close } = invertPrice ? invertCandle(candle) : candle;
+            return {
+                name: candle.name,
+                open,
+                high,
+                low,
+                close,
+                range: [low, high],
+                peg: [(low - 1) * 1e4, (high - 1) * 1e4],
+                pegClose: (close - 1) * 1e4
+            };
+        });
+    }
+
+    // Columns of the chart as displayed, for the CSV / JSON export
+    let exportSeries;
+    if (chartMode === 'Peg') {
+        exportSeries = [['lowBps', item => item.peg[0]], ['highBps', item => item.peg[1]], ['closeBps', item => item.pegClose]];
+    } else if (showPrice) {
+        exportSeries = ['open', 'high', 'low', 'close'].map(key => [key, item => item[key]]);
+    } else if (showTrades) {
+        exportSeries = [['buys', item => item.trades?.buys ?? 0], ['sells', item => item.trades?.sells ?? 0]];
+    } else if (showTvl) {
+        exportSeries = [['tvlUSD', item => item.tvl], ['feeAprPercent', item => item.feeAprPercent]];
+    } else if (chartMode === 'By Chain') {
+        exportSeries = chartChains.map(chain => [`${chain} ${metricKey}USD`, item => item.byChain?.[chain]?.[metricKey] ?? 0]);
+    } else if (chartMode === 'Share') {
+        exportSeries = chartChains.map(chain => [`${chain} sharePercent`, item => item.share[chain]]);
+    } else if (showPaths) {
+        exportSeries = EXECUTION_PATHS.map(({ key, label }) => [`${label} ${metricKey}USD`, item => item.byPath?.[key]?.[metricKey] ?? 0]);
+    } else if (chartMode === 'By Hook') {
+        exportSeries = hookCategories.map(category => [`${category} ${metricKey}USD`, item => item.byHook?.[category]?.[metricKey] ?? 0]);
+    } else {
+        exportSeries = [[`${metricKey}USD`, item => item[metricKey]]];
+    }
+    const exportColumns = [
+        [chartMode === 'Hourly' ? 'hour' : 'period', item => item.name],
+        ...exportSeries,
+        ...(showPrice ? [] : [['flags', item => item.anomalies?.map(flag => `${flag.pool}: ${flag.message}`).join('; ')]])
+    ];
+    const exportName = exportFileName([
+        selectedChain,
+        selectedPoolMetadata && selectedPool !== 'ALL' ? selectedPoolMetadata.label : 'all pools',
+        chartTab,
+        chartMode === 'Total' ? '' : chartMode,
+        chartMode === 'Hourly' ? 'hour' : activeGranularity,
+        dateRange.from,
+        dateRange.to
+    ]);
+
+    const exportView = {
+        chain: selectedChain,
+        pool: selectedPool === 'ALL' ? 'ALL' : selectedPoolMetadata?.poolId ?? selectedPool,
+        version: selectedVersion,
+        hook: selectedHook,
+        metric: chartTab,
+        mode: chartMode,
+        granularity: chartMode === 'Hourly' ? 'Hour' : activeGranularity,
+        from: dateRange.from || null,
+        to: dateRange.to || null,
+        ...(showPrice && { quote: `${quoteSymbol} per ${baseSymbol}` })
+    };
 
     return (
         <div className="dashboard-container">
@@ -148,21 +818,98 @@ const Dashboard = () => {
                     {availableChains.map(chain => (
                         <button
                             key={chain}
-                            className={`chain-btn ${selectedChain === chain ? 'active' : ''}`}
-                            onClick={() => setSelectedChain(chain)}
+                            className={`chain-btn ${selectedChain === chain ? 'active' : ''} ${chainNotices[chain] ? `health-${chainNotices[chain].health}` : ''}`}
+                            title={chainNotices[chain]?.message}
+                            onClick={() => selectChain(chain)}
                         >
                             {chain}
+                            {chainNotices[chain] && <span className="health-dot" />}
                         </button>
                     ))}
                 </div>
 
+                {availableVersions.length > 1 && (
+                    <div className="chain-selector pool-selector">
+                        {[{ key: 'ALL', label: 'All Versions' }, ...availableVersions].map(({ key, label }) => (
+                            <button
+                                key={key}
+                                className={`chain-btn ${selectedVersion === key ? 'active' : ''}`}
+                                onClick={() => selectVersion(key)}
+                            >
+                                {label}
+                            </button>
+                        ))}
+                    </div>
+                )}
+
+                {hookCategories.length > 1 && (
+                    <div className="chain-selector pool-selector">
+                        {['ALL', ...hookCategories].map(category => (
+                            <button
+                                key={category}
+                                className={`chain-btn ${selectedHook === category ? 'active' : ''}`}
+                                onClick={() => selectHook(category)}
+                            >
+                                {category === 'ALL' ? 'All Hooks' : category}
+                            </button>
+                        ))}
+                    </div>
+                )}
+
+                {availablePools.length > 1 && (
+                    <div className="chain-selector pool-selector">
+                        {['ALL', ...availablePools.map(pool => pool.poolId)].map(poolId => (
+                            <button
+                                key={poolId}
+                                className={`chain-btn ${selectedPool === poolId ? 'active' : ''}`}
+                                onClick={() => setSelectedPool(poolId)}
+                            >
+                                {poolId === 'ALL' ? 'All Pools' : formatPoolLabel(chainPoolMetadata[poolId])}
+                            </button>
+                        ))}
+                    </div>
+                )}
+
                 {/* Pool Info Display */}
-                {selectedChain !== 'ALL' && rawData.poolMetadata && rawData.poolMetadata[selectedChain] && (
+                {selectedPoolMetadata && (
                     <div className="pool-info">
                         <span className="pool-label">Pool:</span>
-                        <span className="pool-pair">{rawData.poolMetadata[selectedChain].pair}</span>
+                        <span className="pool-pair">{selectedPoolMetadata.pair}</span>
+                        <span className="pool-fee">{poolVersion(selectedPoolMetadata).toUpperCase()}</span>
                         <span className="pool-fee">
-                            Fee: {formatFeeSmart(rawData.poolMetadata[selectedChain].feePercent)}
+                            Fee: {selectedPoolMetadata.dynamicFee ? 'Dynamic' : formatFeeSmart(selectedPoolMetadata.feePercent)}
+                        </span>
+                        {selectedPoolMetadata.feeAccuracy && (
+                            <span className="pool-fee">
+                                Fees {selectedPoolMetadata.feeAccuracy === 'exact' ? 'exact' : 'estimated'}
+                            </span>
+                        )}
+                        {selectedPoolMetadata.autoSelected && (
+                            <span className="pool-fee">Auto-selected #{selectedPoolMetadata.discoveryRank}</span>
+                        )}
+                        {poolVersion(selectedPoolMetadata) === 'v4' && (
+                            <span className="pool-fee" title={selectedPoolMetadata.hooks?.address}>
+                                {selectedPoolMetadata.hooks
+                                    ? `Hook: ${selectedPoolMetadata.hooks.label || `${selectedPoolMetadata.hooks.address.slice(0, 6)}…${selectedPoolMetadata.hooks.address.slice(-4)}`} (${selectedPoolMetadata.hooks.category})`
+                                    : NO_HOOK}
+                            </span>
+                        )}
+                    </div>
+                )}
+                {selectedPoolMetadata?.hooks?.flags.length > 0 && (
+                    <div className="hook-flags">
+                        {selectedPoolMetadata.hooks.flags.map(flag => (
+                            <span key={flag} className={`hook-flag ${flag.endsWith('ReturnDelta') ? 'delta' : ''}`}>{flag}</span>
+                        ))}
+                    </div>
+                )}
+                {selectedChain !== 'ALL' && !selectedPoolMetadata && (
+                    <div className="pool-info">
+                        <span className="pool-label">Viewing:</span>
+                        <span className="pool-pair">
+                            {chainDiscovery
+                                ? `Top ${chainDiscovery.pools.length} Pools on ${selectedChain} by ${chainDiscovery.rankBy === 'tvl' ? 'TVL' : 'Volume'}`
+                                : `${availablePools.length} ${selectedChain} Pools Aggregated`}
                         </span>
                     </div>
                 )}
@@ -172,53 +919,217 @@ const Dashboard = () => {
                         <span className="pool-pair">All Chains Aggregated</span>
                     </div>
                 )}
+                {healthNotices.length > 0 && (
+                    <div className="health-notices">
+                        {healthNotices.map(({ chain, health, message }) => (
+                            <div key={chain} className={`health-notice health-${health}`}>
+                                <AlertTriangle size={14} />
+                                <span>{message}</span>
+                            </div>
+                        ))}
+                    </div>
+                )}
             </header>
 
+            <div className="period-controls">
+                {hasDailyData && (
+                    <div className="chart-tabs">
+                        {GRANULARITIES.map(({ key }) => (
+                            <button
+                                key={key}
+                                className={`chart-tab ${activeGranularity === key ? 'active' : ''}`}
+                                onClick={() => setGranularity(key)}
+                            >
+                                {key}
+                            </button>
+                        ))}
+                    </div>
+                )}
+                <div className="date-range">
+                    <label>
+                        From
+                        <input
+                            type="date"
+                            value={dateRange.from}
+                            min={dataBounds.min}
+                            max={dateRange.to || dataBounds.max}
+                            onChange={(e) => setDateRange({ ...dateRange, from: e.target.value })}
+                        />
+                    </label>
+                    <label>
+                        To
+                        <input
+                            type="date"
+                            value={dateRange.to}
+                            min={dateRange.from || dataBounds.min}
+                            max={dataBounds.max}
+                            onChange={(e) => setDateRange({ ...dateRange, to: e.target.value })}
+                        />
+                    </label>
+                    {(dateRange.from || dateRange.to) && (
+                        <button className="chart-tab" onClick={() => setDateRange({ from: '', to: '' })}>
+                            All Dates
+                        </button>
+                    )}
+                </div>
+            </div>
+
             <div className="kpi-grid">
                 <Card
-                    title="Weekly Volume"
+                    title={`${period.title} Volume`}
                     value={currentVolume}
                     delta={volumeDelta}
+                    previous={period.previous}
                     icon={<Activity size={24} />}
-                    isActive={activeTab === 'Volume'}
+                    isActive={chartTab === 'Volume'}
                     onClick={() => setActiveTab('Volume')}
                 />
                 <Card
-                    title="Weekly Fees"
+                    title={`${period.title} Fees${feesEstimated ? ' (est.)' : ''}`}
                     value={currentFees}
                     delta={feesDelta}
+                    previous={period.previous}
                     icon={<DollarSign size={24} />}
-                    isActive={activeTab === 'Fees'}
+                    isActive={chartTab === 'Fees'}
                     onClick={() => setActiveTab('Fees')}
                 />
+                {hasTvlData && (
+                    <>
+                        <Card
+                            title={`${period.title} Avg TVL`}
+                            value={currentTvl ?? 0}
+                            delta={tvlDelta}
+                            previous={period.previous}
+                            icon={<Layers size={24} />}
+                            isActive={chartTab === 'TVL'}
+                            onClick={() => setActiveTab('TVL')}
+                        />
+                        <Card
+                            title="Fee APR"
+                            value={currentFeeApr}
+                            format={formatPercent}
+                            delta={feeAprDelta}
+                            previous={period.previous}
+                            icon={<Percent size={24} />}
+                            isActive={chartTab === 'TVL'}
+                            onClick={() => setActiveTab('TVL')}
+                        />
+                    </>
+                )}
+                {trades && (
+                    <>
+                        <Card
+                            title={`${period.title} Trades`}
+                            value={trades.current?.count ?? 0}
+                            format={formatCount}
+                            delta={trades.countDelta}
+                            previous={period.previous}
+                            icon={<Repeat size={24} />}
+                            isActive={chartTab === 'Trades'}
+                            onClick={() => setActiveTab('Trades')}
+                        />
+                        <Card
+                            title="Avg Trade Size"
+                            value={trades.current?.avgSize ?? 0}
+                            delta={trades.avgSizeDelta}
+                            previous={period.previous}
+                            icon={<Scale size={24} />}
+                        />
+                        <Card
+                            title="Unique Traders (est.)"
+                            value={trades.current?.uniqueTraders ?? 0}
+                            format={formatCount}
+                            delta={trades.tradersDelta}
+                            previous={period.previous}
+                            icon={<Users size={24} />}
+                        />
+                    </>
+                )}
             </div>
 
             <div className="chart-section glass-card">
                 <div className="chart-header">
                     <div className="chart-tabs">
                         <button
-                            className={`chart-tab ${activeTab === 'Volume' ? 'active' : ''}`}
+                            className={`chart-tab ${chartTab === 'Volume' ? 'active' : ''}`}
                             onClick={() => setActiveTab('Volume')}
                         >
                             Volume
                         </button>
                         <button
-                            className={`chart-tab ${activeTab === 'Fees' ? 'active' : ''}`}
+                            className={`chart-tab ${chartTab === 'Fees' ? 'active' : ''}`}
                             onClick={() => setActiveTab('Fees')}
                         >
                             Fees
                         </button>
+                        {trades && (
+                            <button
+                                className={`chart-tab ${chartTab === 'Trades' ? 'active' : ''}`}
+                                onClick={() => setActiveTab('Trades')}
+                            >
+                                Trades
+                            </button>
+                        )}
+                        {hasTvlData && (
+                            <button
+                                className={`chart-tab ${chartTab === 'TVL' ? 'active' : ''}`}
+                                onClick={() => setActiveTab('TVL')}
+                            >
+                                TVL
+                            </button>
+                        )}
+                        {priceHistory.length > 0 && (
+                            <button
+                                className={`chart-tab ${chartTab === 'Price' ? 'active' : ''}`}
+                                onClick={() => setActiveTab('Price')}
+                            >
+                                Price
+                            </button>
+                        )}
                     </div>
 
+                    {chartModes.length > 1 && (
+                        <div className="chart-tabs">
+                            {chartModes.map(mode => (
+                                <button
+                                    key={mode}
+                                    className={`chart-tab ${chartMode === mode ? 'active' : ''}`}
+                                    onClick={() => setBreakdown(mode)}
+                                >
+                                    {mode}
+                                </button>
+                            ))}
+                        </div>
+                    )}
+
+                    {showPrice && (
+                        <div className="chart-tabs">
+                            <button className="chart-tab" onClick={() => setInvertPrice(!invertPrice)}>
+                                {quoteSymbol} per {baseSymbol} ⇄
+                            </button>
+                        </div>
+                    )}
+
                     <div className="chart-legend">
-                        <span className={`dot ${activeTab === 'Volume' ? 'volume-dot' : 'fees-dot'}`}></span>
-                        {selectedChain} {activeTab}
+                        <span className={`dot ${chartTab === 'Fees' ? 'fees-dot' : 'volume-dot'}`}></span>
+                        {selectedChain} {showPrice ? `${baseSymbol} Price` : chartTab}
                     </div>
+
+                    {chartData.length > 0 && (
+                        <ExportMenu
+                            rows={chartData}
+                            columns={exportColumns}
+                            fileName={exportName}
+                            view={exportView}
+                            dataUpdated={rawData.lastUpdated ?? null}
+                            chartRef={chartRef}
+                        />
+                    )}
                 </div>
 
-                <div className="chart-wrapper">
+                <div className="chart-wrapper" ref={chartRef}>
                     <ResponsiveContainer width="100%" height={300}>
-                        <BarChart data={chartData} margin={{ top: 20, right: 30, left: 20, bottom: 5 }}>
+                        <ComposedChart data={chartData} margin={{ top: 20, right: 30, left: 20, bottom: 5 }}>
                             <XAxis
                                 dataKey="name"
                                 axisLine={false}
@@ -238,10 +1149,20 @@ const Dashboard = () => {
                             <YAxis
                                 axisLine={false}
                                 tickLine={false}
-                                tickFormatter={(val) => formatCurrency(val)}
+                                tickFormatter={(val) => {
+                                    if (chartMode === 'Share') return `${val.toFixed(0)}%`;
+                                    if (chartMode === 'Peg') return val.toFixed(1);
+                                    if (showPrice) return formatPrice(val);
+                                    return showTrades ? formatCount(val) : formatCurrency(val);
+                                }}
+                                domain={chartMode === 'Share' ? [0, 100] : (showPrice ? ['auto', 'auto'] : [0, 'auto'])}
                                 tick={{ fill: isDarkMode ? "#17cac6" : "#830057", fontSize: 12 }}
                                 label={{
-                                    value: activeTab === 'Volume' ? "Volume ($)" : "Fees ($)",
+                                    value: chartMode === 'Share'
+                                        ? `${chartTab} Share (%)`
+                                        : (showPrice
+                                            ? (chartMode === 'Peg' ? 'Deviation from 1:1 (bps)' : `${quoteSymbol} per ${baseSymbol}`)
+                                            : (showTrades ? 'Trades' : `${chartTab} ($)`)),
                                     position: 'insideLeft',
                                     angle: -90,
                                     offset: -15,
@@ -256,16 +1177,134 @@ const Dashboard = () => {
                                     borderRadius: '8px'
                                 }}
                                 itemStyle={{ color: '#fff' }}
-                                formatter={(value) => [formatFullCurrency(value), activeTab]}
-                            />
-                            <Bar
-                                dataKey={activeTab === 'Volume' ? 'volume' : 'fees'}
-                                name={activeTab === 'Volume' ? 'Volume' : 'Fees'}
-                                radius={[4, 4, 0, 0]}
-                                barSize={30}
-                                animationDuration={1000}
-                                fill={'var(--accent-primary)'}
+                                labelFormatter={(label, payload) => <AnomalyLabel label={label} flags={payload?.[0]?.payload.anomalies} />}
+                                formatter={(value, name, item) => {
+                                    if (showTrades) return [value.toLocaleString('en-US'), name];
+                                    if (showTvl) return [name === 'Fee APR' ? `${value.toFixed(2)}%` : formatFullCurrency(value), name];
+                                    if (chartMode === 'Peg') {
+                                        return [Array.isArray(value) ? `${value[0].toFixed(2)} to ${value[1].toFixed(2)} bps` : `${value.toFixed(2)} bps`, name];
+                                    }
+                                    if (showPrice) {
+                                        const { open, high, low, close } = item.payload;
+                                        return [`O ${formatPrice(open)} H ${formatPrice(high)} L ${formatPrice(low)} C ${formatPrice(close)}`, name];
+                                    }
+                                    return [
+                                        chartMode === 'Share' ? `${value.toFixed(1)}%` : formatFullCurrency(value),
+                                        chartMode === 'Total' ? (chartTab === 'Fees' && feesEstimated ? 'Fees (incl. estimates)' : chartTab) : name
+                                    ];
+                                }}
                             />
+                            {['By Chain', 'Share'].includes(chartMode) && (
+                                <ChainBreakdown
+                                    mode={chartMode}
+                                    chains={chartChains}
+                                    metricKey={metricKey}
+                                    chainColor={chainColor}
+                                    onSelectChain={selectChain}
+                                />
+                            )}
+                            {chartMode === 'By Hook' && hookCategories.map((category, index) => (
+                                <Bar
+                                    key={category}
+                                    dataKey={(item) => item.byHook?.[category]?.[metricKey] ?? 0}
+                                    name={category}
+                                    stackId="hooks"
+                                    radius={index === hookCategories.length - 1 ? [4, 4, 0, 0] : [0, 0, 0, 0]}
+                                    maxBarSize={30}
+                                    animationDuration={1000}
+                                    fill={hookColor(category)}
+                                    cursor="pointer"
+                                    onClick={() => selectHook(category)}
+                                />
+                            ))}
+                            {showPaths && EXECUTION_PATHS.map(({ key, label, color }, index) => (
+                                <Bar
+                                    key={key}
+                                    dataKey={`byPath.${key}.${metricKey}`}
+                                    name={label}
+                                    stackId="paths"
+                                    radius={index === EXECUTION_PATHS.length - 1 ? [4, 4, 0, 0] : [0, 0, 0, 0]}
+                                    maxBarSize={30}
+                                    animationDuration={1000}
+                                    fill={color}
+                                />
+                            ))}
+                            {showTrades && [['buys', 'Buys', '#27d17f'], ['sells', 'Sells', '#ff6b6b']].map(([key, label, color], index) => (
+                                <Bar
+                                    key={key}
+                                    dataKey={`trades.${key}`}
+                                    name={label}
+                                    stackId="trades"
+                                    radius={index === 1 ? [4, 4, 0, 0] : [0, 0, 0, 0]}
+                                    maxBarSize={30}
+                                    animationDuration={1000}
+                                    fill={color}
+                                />
+                            ))}
+                            {showPrice && chartMode !== 'Peg' && (
+                                <Bar
+                                    dataKey="range"
+                                    name={`${baseSymbol} Price`}
+                                    maxBarSize={14}
+                                    animationDuration={1000}
+                                    fill="var(--success)"
+                                    shape={<Candle />}
+                                />
+                            )}
+                            {chartMode === 'Peg' && (
+                                <ReferenceLine y={0} stroke="var(--text-secondary)" strokeDasharray="4 4" />
+                            )}
+                            {chartMode === 'Peg' && (
+                                <Area
+                                    type="monotone"
+                                    dataKey="peg"
+                                    name="High / Low"
+                                    stroke="none"
+                                    fill="var(--accent-primary)"
+                                    fillOpacity={0.25}
+                                    animationDuration={1000}
+                                />
+                            )}
+                            {chartMode === 'Peg' && (
+                                <Line
+                                    type="monotone"
+                                    dataKey="pegClose"
+                                    name="Close"
+                                    stroke="var(--accent-primary)"
+                                    dot={false}
+                                    animationDuration={1000}
+                                />
+                            )}
+                            {showTvl && (
+                                <YAxis
+                                    yAxisId="apr"
+                                    orientation="right"
+                                    axisLine={false}
+                                    tickLine={false}
+                                    tickFormatter={(val) => `${val.toFixed(1)}%`}
+                                    tick={{ fill: isDarkMode ? "#17cac6" : "#830057", fontSize: 12 }}
+                                />
+                            )}
+                            {showTvl && (
+                                <Line
+                                    yAxisId="apr"
+                                    type="monotone"
+                                    dataKey="feeAprPercent"
+                                    name="Fee APR"
+                                    stroke="#f5a623"
+                                    strokeWidth={2}
+                                    dot={false}
+                                    connectNulls
+                                    animationDuration={1000}
+                                />
+                            )}
+                            {chartMode === 'Total' && !showTrades && (
+                                <AnomalyBar
+                                    data={chartData}
+                                    dataKey={showTvl ? 'tvl' : metricKey}
+                                    name={showTvl ? 'TVL' : (chartTab === 'Volume' ? 'Volume' : 'Fees')}
+                                />
+                            )}
                             <Legend
                                 wrapperStyle={{
                                     paddingTop: '20px'
@@ -274,37 +1313,227 @@ const Dashboard = () => {
                                 formatter={(value) => (
                                     <span style={{ color: 'var(--text-primary)' }}>{value}</span>
                                 )}
+                                onClick={['By Chain', 'Share'].includes(chartMode) ? (entry) => selectChain(entry.value) : undefined}
                             />
-                        </BarChart>
+                        </ComposedChart>
                     </ResponsiveContainer>
                 </div>
             </div>
+            {selectedChain === 'ALL' && chainRows && chainRows.length > 0 && (
+                <ChainTable
+                    rows={chainRows}
+                    periodTitle={period.title}
+                    hasTvlData={hasTvlData}
+                    chainColor={chainColor}
+                    onSelectChain={selectChain}
+                />
+            )}
+            {poolRows && poolRows.length > 0 && (
+                <LiquidityTable
+                    rows={poolRows}
+                    chainColor={chainColor}
+                    onSelectPool={(chain, poolId) => {
+                        selectChain(chain);
+                        setSelectedPool(poolId);
+                    }}
+                />
+            )}
+            {trades && (
+                <TradeMetrics
+                    trades={trades}
+                    symbols={selectedPoolMetadata ? poolSymbols : null}
+                    tickColor={isDarkMode ? "#17cac6" : "#830057"}
+                />
+            )}
+            {versionComparison && (
+                <div className="chart-section glass-card version-section">
+                    <div className="chart-header">
+                        <h2>{versionComparison.pair}: {versionComparison.versions.map(({ label }) => label).join(' vs ')}</h2>
+                        {versionComparison.pairs.length > 1 && (
+                            <div className="chart-tabs">
+                                {versionComparison.pairs.map(pair => (
+                                    <button
+                                        key={pair}
+                                        className={`chart-tab ${versionComparison.pair === pair ? 'active' : ''}`}
+                                        onClick={() => setComparePair(pair)}
+                                    >
+                                        {pair}
+                                    </button>
+                                ))}
+                            </div>
+                        )}
+                    </div>
+                    <div className="chart-wrapper">
+                        <ResponsiveContainer width="100%" height={300}>
+                            <BarChart
+                                data={versionComparison.history.map(item => ({
+                                    ...item,
+                                    name: new Date(item.date).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })
+                                }))}
+                                margin={{ top: 20, right: 30, left: 20, bottom: 5 }}
+                            >
+                                <XAxis
+                                    dataKey="name"
+                                    axisLine={false}
+                                    tickLine={false}
+                                    tick={{ fill: isDarkMode ? "#17cac6" : "#830057", fontSize: 12 }}
+                                    dy={10}
+                                />
+                                <YAxis
+                                    axisLine={false}
+                                    tickLine={false}
+                                    tickFormatter={(val) => formatCurrency(val)}
+                                    tick={{ fill: isDarkMode ? "#17cac6" : "#830057", fontSize: 12 }}
+                                />
+                                <Tooltip
+                                    cursor={{ fill: 'rgba(255, 255, 255, 0.05)' }}
+                                    contentStyle={{
+                                        backgroundColor: '#161821',
+                                        borderColor: 'rgba(255,255,255,0.1)',
+                                        borderRadius: '8px'
+                                    }}
+                                    itemStyle={{ color: '#fff' }}
+                                    formatter={(value, name) => [formatFullCurrency(value), `${name} ${metricKey === 'fees' ? 'Fees' : 'Volume'}`]}
+                                />
+                                {versionComparison.versions.map(({ key, label, color }) => (
+                                    <Bar
+                                        key={key}
+                                        dataKey={`${key}.${metricKey}`}
+                                        name={label}
+                                        radius={[4, 4, 0, 0]}
+                                        maxBarSize={20}
+                                        animationDuration={1000}
+                                        fill={color}
+                                    />
+                                ))}
+                                <Legend
+                                    wrapperStyle={{ paddingTop: '20px' }}
+                                    iconType="line"
+                                    formatter={(value) => (
+                                        <span style={{ color: 'var(--text-primary)' }}>{value}</span>
+                                    )}
+                                />
+                            </BarChart>
+                        </ResponsiveContainer>
+                    </div>
+                </div>
+            )}
+            {routeSummary && routeSummary.currentWeek && (
+                <div className="routes-section glass-card">
+                    <div className="chart-header">
+                        <h2>Trade Routes</h2>
+                        <span className="routes-week">
+                            Week of {routeSummary.currentWeek.date}
+                            {routeSummary.currentWeek.missingPools && ` · without ${routeSummary.currentWeek.missingPools.length} pools that could not be fetched`}
+                        </span>
+                    </div>
+                    <div className="routes-stats">
+                        <div className="routes-stat">
+                            <h3>Pool Volume</h3>
+                            <div className="card-value">{formatCurrency(routeSummary.currentWeek.poolVolume)}</div>
+                        </div>
+                        <div className="routes-stat">
+                            <h3>User Trade Volume</h3>
+                            <div className="card-value">{formatCurrency(routeSummary.currentWeek.userVolume)}</div>
+                        </div>
+                        <div className="routes-stat">
+                            <h3>Multi-hop Overcount</h3>
+                            <div className="card-value">
+                                {routeSummary.currentWeek.userVolume > 0
+                                    ? `${((routeSummary.currentWeek.poolVolume / routeSummary.currentWeek.userVolume - 1) * 100).toFixed(1)}%`
+                                    : '-'}
+                            </div>
+                        </div>
+                        <div className="routes-stat">
+                            <h3>Multi-hop Trades</h3>
+                            <div className="card-value">
+                                {routeSummary.currentWeek.multiHopRoutes} / {routeSummary.currentWeek.routes}
+                            </div>
+                        </div>
+                    </div>
+                    <div className="routes-details">
+                        <div>
+                            <h3>Hops per Trade</h3>
+                            {routeSummary.hops.map(({ hopCount, count, share }) => (
+                                <div key={hopCount} className="hop-row">
+                                    <span className="hop-label">{hopCount} {hopCount === 1 ? 'hop' : 'hops'}</span>
+                                    <div className="hop-bar">
+                                        <div className="hop-bar-fill" style={{ width: `${share}%` }}></div>
+                                    </div>
+                                    <span className="hop-count">{count}</span>
+                                </div>
+                            ))}
+                        </div>
+                        <div>
+                            <h3>Most Common Paths</h3>
+                            <ol className="path-list">
+                                {routeSummary.topPaths.map(({ path, count, volume }) => (
+                                    <li key={path}>
+                                        <span className="path-name">{path}</span>
+                                        <span className="path-stats">{count} trades · {formatCurrency(volume)}</span>
+                                    </li>
+                                ))}
+                            </ol>
+                        </div>
+                    </div>
+                </div>
+            )}
             <p className="disclaimer">
                 <AlertTriangle size={14} style={{ marginRight: '6px', verticalAlign: 'middle', display: 'inline-block' }} />
                 Data provided by The Graph subgraphs. Accuracy depends on subgraph indexing status.
+                {feesEstimated && ' Fees for dynamic-fee pools without on-chain fee data are estimated.'}
+                {pricing && ` Pricing coverage: ${formatPercent(pricing.fallbackShare)} of volume in range is priced from token amounts where the subgraph had no USD value${pricing.unpricedSwaps > 0 ? `, and ${formatCount(pricing.unpricedSwaps)} swaps (${formatPercent(pricing.unpricedShare)}) could not be priced and are left out` : ''}.`}
+                {showPaths && availableVersions.length > 1 && ' The entry-path breakdown covers V4 pools only.'}
+                {routeSummary && ' Routes only see hops through tracked pools.'}
+                {showPrice && ' Prices are each pool\'s price after a swap (the execution price for V2 pairs).'}
+                {hasAnomalies && !showPrice && ' Highlighted bars are unusual periods (volume outliers, a single dominant swap or same-origin round trips); hover them for details.'}
+                {trades && ' Unique traders are estimated from transaction senders and buys/sells are from the side of the first token.'}
             </p>
         </div>
     );
 };
 
-const Card = ({ title, value, delta, icon, isActive, onClick }) => {
+// Bar shape for a [low, high] range bar: the wick spans the bar, the body
+// runs from open to close
+const Candle = ({ x, y, width, height, payload }) => {
+    const { open, high, low, close } = payload;
+    const top = Math.min(y, y + height);
+    const scale = high > low ? Math.abs(height) / (high - low) : 0;
+    const color = close >= open ? 'var(--success)' : 'var(--error)';
+    const center = x + width / 2;
+
+    return (
+        <g>
+            <line x1={center} x2={center} y1={top} y2={top + Math.abs(height)} stroke={color} />
+            <rect
+                x={x}
+                y={top + (high - Math.max(open, close)) * scale}
+                width={width}
+                height={Math.max(Math.abs(open - close) * scale, 1)}
+                fill={color}
+            />
+        </g>
+    );
+};
+
+const Card = ({ title, value, format = formatCurrency, delta, previous, icon, isActive, onClick }) => {
     const isPositive = delta >= 0;
     return (
         <div
             className={`kpi-card glass-card ${isActive ? 'active-card' : ''}`}
             onClick={onClick}
-            style={{ cursor: 'pointer' }}
+            style={{ cursor: onClick ? 'pointer' : 'default' }}
         >
             <div className="card-icon-wrapper">
                 {icon}
             </div>
             <div className="card-content">
                 <h3>{title}</h3>
-                <div className="card-value">{formatCurrency(value)}</div>
+                <div className="card-value">{format(value)}</div>
                 <div className={`card-delta ${isPositive ? 'positive' : 'negative'}`}>
                     {isPositive ? <ArrowUpRight size={16} /> : <ArrowDownRight size={16} />}
                     <span>{Math.abs(delta).toFixed(2)}%</span>
-                    <span>vs last week</span>
+                    <span>vs {previous}</span>
                 </div>
             </div>
         </div>
@@ -0,0 +1,37 @@
+import React from 'react';
+import { Download } from 'lucide-react';
+import { downloadChartPng, downloadChartSvg, downloadText, toRecords } from './exportData';
+import { toCsv } from '../../../scripts/lib/csv.js';
+
+// Downloads of the chart as shown: its rows as CSV, or as JSON along with the
+// view they came from, and the chart in `chartRef` as SVG or PNG. `columns`
+// are [name, row => value] pairs.
+const ExportMenu = ({ rows, columns, fileName, view, dataUpdated, chartRef }) => {
+    const downloadRows = (format) => {
+        if (format === 'csv') {
+            downloadText(toCsv(columns, rows), `${fileName}.csv`, 'text/csv');
+            return;
+        }
+        const payload = { view, dataUpdated, exportedAt: new Date().toISOString(), rows: toRecords(columns, rows) };
+        downloadText(JSON.stringify(payload, null, 2), `${fileName}.json`, 'application/json');
+    };
+
+    const downloadChart = (format) => {
+        const svg = chartRef.current?.querySelector('svg.recharts-surface');
+        if (!svg) return;
+        const background = getComputedStyle(document.documentElement).getPropertyValue('--bg-color').trim();
+        (format === 'svg' ? downloadChartSvg : downloadChartPng)(svg, background, `${fileName}.${format}`);
+    };
+
+    return (
+        <div className="export-actions" title="Download the chart as shown">
+            <Download size={14} />
+            <button className="chart-tab" onClick={() => downloadRows('csv')}>CSV</button>
+            <button className="chart-tab" onClick={() => downloadRows('json')}>JSON</button>
+            <button className="chart-tab" onClick={() => downloadChart('svg')}>SVG</button>
+            <button className="chart-tab" onClick={() => downloadChart('png')}>PNG</button>
+        </div>
+    );
+};
+
+export default ExportMenu;
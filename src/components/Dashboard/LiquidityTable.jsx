@@ -0,0 +1,42 @@
+import React from 'react';
+import { formatCurrency, formatPercent, formatPoolLabel, poolVersion } from './format';
+
+// Pools ranked by what they paid liquidity providers over the whole range;
+// a row drills down into its pool
+const LiquidityTable = ({ rows, chainColor, onSelectPool }) => (
+    <div className="chain-table-section glass-card">
+        <div className="chart-header">
+            <h2>Liquidity Provider Returns</h2>
+            <span className="routes-week">Pools by fee APR, whole range</span>
+        </div>
+        <table className="chain-table">
+            <thead>
+                <tr>
+                    <th>Pool</th>
+                    <th>Chain</th>
+                    <th>Avg TVL</th>
+                    <th>Fees</th>
+                    <th>Fee APR</th>
+                    <th>Turnover</th>
+                </tr>
+            </thead>
+            <tbody>
+                {rows.map(row => (
+                    <tr key={`${row.chain}:${row.pool.poolId}`} onClick={() => onSelectPool(row.chain, row.pool.poolId)}>
+                        <td>{formatPoolLabel(row.pool)} <span className="pool-version">{poolVersion(row.pool).toUpperCase()}</span></td>
+                        <td>
+                            <span className="chain-swatch" style={{ background: chainColor(row.chain) }}></span>
+                            {row.chain}
+                        </td>
+                        <td>{formatCurrency(row.tvl)}</td>
+                        <td>{formatCurrency(row.fees)}</td>
+                        <td>{formatPercent(row.feeApr)}</td>
+                        <td>{row.turnover.toFixed(2)}x</td>
+                    </tr>
+                ))}
+            </tbody>
+        </table>
+    </div>
+);
+
+export default LiquidityTable;
@@ -0,0 +1,102 @@
+import React from 'react';
+import { BarChart, Bar, XAxis, YAxis, Tooltip, ResponsiveContainer } from 'recharts';
+import { formatCount, formatCurrency } from './format';
+
+// Trade sizes, direction and unique traders over the whole range. `symbols`
+// names a single pool's tokens, for its net flows; null for aggregates.
+const TradeMetrics = ({ trades, symbols, tickColor }) => (
+    <div className="routes-section glass-card">
+        <div className="chart-header">
+            <h2>Trade Sizes</h2>
+            <span className="routes-week">All trades in range</span>
+        </div>
+        <div className="routes-stats">
+            <div className="routes-stat">
+                <h3>Trades</h3>
+                <div className="card-value">{formatCount(trades.range.count)}</div>
+            </div>
+            <div className="routes-stat">
+                <h3>Median Size</h3>
+                <div className="card-value">{formatCurrency(trades.range.medianSize)}</div>
+            </div>
+            <div className="routes-stat">
+                <h3>Average Size</h3>
+                <div className="card-value">{formatCurrency(trades.range.avgSize)}</div>
+            </div>
+            <div className="routes-stat">
+                <h3>Unique Traders (est.)</h3>
+                <div className="card-value">{formatCount(trades.range.uniqueTraders)}</div>
+            </div>
+        </div>
+        <div className="routes-details">
+            <div>
+                <h3>Size Distribution</h3>
+                <ResponsiveContainer width="100%" height={220}>
+                    <BarChart data={trades.histogram} margin={{ top: 10, right: 10, left: 0, bottom: 5 }}>
+                        <XAxis
+                            dataKey="name"
+                            axisLine={false}
+                            tickLine={false}
+                            tick={{ fill: tickColor, fontSize: 11 }}
+                        />
+                        <YAxis
+                            axisLine={false}
+                            tickLine={false}
+                            tickFormatter={(val) => formatCount(val)}
+                            tick={{ fill: tickColor, fontSize: 12 }}
+                        />
+                        <Tooltip
+                            cursor={{ fill: 'rgba(255, 255, 255, 0.05)' }}
+                            contentStyle={{
+                                backgroundColor: '#161821',
+                                borderColor: 'rgba(255,255,255,0.1)',
+                                borderRadius: '8px'
+                            }}
+                            itemStyle={{ color: '#fff' }}
+                            formatter={(value) => [value.toLocaleString('en-US'), 'Trades']}
+                        />
+                        <Bar dataKey="count" radius={[4, 4, 0, 0]} maxBarSize={40} fill={'var(--accent-primary)'} />
+                    </BarChart>
+                </ResponsiveContainer>
+            </div>
+            <div>
+                <h3>Buys vs Sells</h3>
+                {[
+                    ['Buys', trades.range.buys, trades.range.buyVolume, '#27d17f'],
+                    ['Sells', trades.range.sells, trades.range.sellVolume, '#ff6b6b']
+                ].map(([label, count, volume, color]) => (
+                    <div key={label} className="hop-row">
+                        <span className="hop-label">{label}</span>
+                        <div className="hop-bar">
+                            <div
+                                className="hop-bar-fill"
+                                style={{ width: `${trades.range.count > 0 ? count / trades.range.count * 100 : 0}%`, background: color }}
+                            ></div>
+                        </div>
+                        <span className="hop-count">{formatCount(count)} · {formatCurrency(volume)}</span>
+                    </div>
+                ))}
+                {symbols && (
+                    <>
+                        <h3 className="trades-flow-title">Net Flow into Pool</h3>
+                        <ol className="path-list">
+                            {symbols.map((symbol, index) => {
+                                const flow = trades.range[`netFlow${index}`];
+                                return (
+                                    <li key={symbol}>
+                                        <span className="path-name">{symbol}</span>
+                                        <span className={`path-stats ${flow >= 0 ? 'positive' : 'negative'}`}>
+                                            {flow >= 0 ? '+' : ''}{flow.toLocaleString('en-US', { maximumFractionDigits: 4 })}
+                                        </span>
+                                    </li>
+                                );
+                            })}
+                        </ol>
+                    </>
+                )}
+            </div>
+        </div>
+    </div>
+);
+
+export default TradeMetrics;
@@ -0,0 +1,80 @@
+// Downloads of what the dashboard shows: the chart's rows as CSV or JSON, and
+// the chart itself as SVG or PNG.
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+// Presentation styles copied onto the exported SVG, since its CSS variables
+// and stylesheet rules do not travel with it
+const INLINED_STYLES = ['fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-dasharray', 'stroke-opacity', 'opacity', 'font-family', 'font-size', 'font-weight'];
+const PNG_SCALE = 2;
+
+// `columns` are [name, row => value] pairs, as for toCsv (scripts/lib/csv.js)
+export const toRecords = (columns, rows) => rows.map(row => Object.fromEntries(columns.map(([name, value]) => [name, value(row) ?? null])));
+
+// Safe file name for the current view, e.g. uniswap-arbitrum-all-pools-volume-week
+export const exportFileName = (parts) => ['uniswap', ...parts]
+    .map(part => String(part).toLowerCase().replace(/[^a-z0-9.]+/g, '-').replace(/^-|-$/g, ''))
+    .filter(Boolean)
+    .join('-');
+
+export const downloadBlob = (blob, fileName) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Some browsers only start reading the blob after click() returns
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+export const downloadText = (text, fileName, type) => downloadBlob(new Blob([text], { type }), fileName);
+
+// Standalone copy of a Recharts SVG with resolved colors and a background
+const serializeChart = (svg, background) => {
+    const clone = svg.cloneNode(true);
+    const sources = [svg, ...svg.querySelectorAll('*')];
+    const targets = [clone, ...clone.querySelectorAll('*')];
+    sources.forEach((source, index) => {
+        const computed = getComputedStyle(source);
+        INLINED_STYLES.forEach(property => targets[index].style.setProperty(property, computed.getPropertyValue(property)));
+    });
+
+    const { width, height } = svg.getBoundingClientRect();
+    clone.setAttribute('xmlns', SVG_NS);
+    clone.setAttribute('width', width);
+    clone.setAttribute('height', height);
+    const backdrop = document.createElementNS(SVG_NS, 'rect');
+    backdrop.setAttribute('width', '100%');
+    backdrop.setAttribute('height', '100%');
+    backdrop.setAttribute('fill', background);
+    clone.insertBefore(backdrop, clone.firstChild);
+
+    return { markup: new XMLSerializer().serializeToString(clone), width, height };
+};
+
+export const downloadChartSvg = (svg, background, fileName) => {
+    const { markup } = serializeChart(svg, background);
+    downloadText(markup, fileName, 'image/svg+xml');
+};
+
+export const downloadChartPng = (svg, background, fileName) => {
+    const { markup, width, height } = serializeChart(svg, background);
+    const url = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml' }));
+    const image = new Image();
+    image.onload = () => {
+        const canvas = document.createElement('canvas');
+        canvas.width = width * PNG_SCALE;
+        canvas.height = height * PNG_SCALE;
+        const context = canvas.getContext('2d');
+        context.scale(PNG_SCALE, PNG_SCALE);
+        context.drawImage(image, 0, 0, width, height);
+        URL.revokeObjectURL(url);
+        canvas.toBlob(blob => downloadBlob(blob, fileName), 'image/png');
+    };
+    image.onerror = () => {
+        URL.revokeObjectURL(url);
+        console.error('Failed to render the chart as PNG');
+    };
+    image.src = url;
+};
@@ -0,0 +1,23 @@
+// Number formats and pool labels shared by the dashboard and its sections.
+
+export const formatCurrency = (value) => {
+    if (value >= 1e9) return `$${(value / 1e9).toFixed(1)}B`;
+    if (value >= 1e6) return `$${(value / 1e6).toFixed(1)}M`;
+    if (value >= 1e3) return `$${(value / 1e3).toFixed(1)}K`;
+    return `$${value.toFixed(1)}`;
+};
+
+export const formatPercent = (value) => (value === null ? '-' : `${(value * 100).toFixed(2)}%`);
+
+export const formatCount = (value) => {
+    if (value >= 1e6) return `${(value / 1e6).toFixed(1)}M`;
+    if (value >= 1e3) return `${(value / 1e3).toFixed(1)}K`;
+    return `${Math.round(value)}`;
+};
+
+// Pools written before versions were tracked are all V4
+export const poolVersion = (pool) => pool?.version ?? 'v4';
+
+export const formatPoolLabel = (pool) => {
+    return pool.autoSelected ? `#${pool.discoveryRank} ${pool.label}` : pool.label;
+};
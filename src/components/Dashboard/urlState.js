@@ -0,0 +1,74 @@
+// The dashboard's view as a URL, so views can be shared and survive reloads:
+// /chain/<CHAIN> for one chain (/ for all of them), with the rest of the view
+// as query parameters, e.g. /chain/ARBITRUM?metric=fees&range=2025-01-01..2025-03-31.
+// Values left at their default are not written; unknown ones read as the default.
+
+export const DEFAULT_VIEW = {
+    chain: 'ALL',
+    pool: 'ALL',
+    tab: 'Volume',
+    breakdown: 'Total',
+    version: 'ALL',
+    hook: 'ALL',
+    granularity: 'Week',
+    from: '',
+    to: '',
+    invert: false,
+};
+
+const TABS = ['Volume', 'Fees', 'Trades', 'TVL', 'Price'];
+const BREAKDOWNS = ['Total', 'By Chain', 'Share', 'By Path', 'By Hook', 'Candles', 'Hourly', 'Peg'];
+const GRANULARITIES = ['Day', 'Week', 'Month'];
+const VERSIONS = ['v2', 'v3', 'v4'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const CHAIN_PATH = /^\/chain\/([^/]+)\/?$/;
+
+// "By Chain" <-> "by-chain"
+const slug = (value) => value.toLowerCase().replace(/\s+/g, '-');
+const fromSlug = (value, choices, fallback) => choices.find(choice => slug(choice) === value?.toLowerCase()) ?? fallback;
+
+// A malformed escape in a hand-edited link reads as no chain
+const decodeChain = (segment) => {
+    try {
+        return decodeURIComponent(segment).toUpperCase();
+    } catch {
+        return DEFAULT_VIEW.chain;
+    }
+};
+
+export const parseView = ({ pathname, search }) => {
+    const params = new URLSearchParams(search);
+    const chain = pathname.match(CHAIN_PATH)?.[1];
+    const [from = '', to = ''] = (params.get('range') ?? '').split('..');
+
+    return {
+        chain: chain ? decodeChain(chain) : DEFAULT_VIEW.chain,
+        pool: params.get('pool')?.toLowerCase() || DEFAULT_VIEW.pool,
+        tab: fromSlug(params.get('metric'), TABS, DEFAULT_VIEW.tab),
+        breakdown: fromSlug(params.get('view'), BREAKDOWNS, DEFAULT_VIEW.breakdown),
+        version: VERSIONS.includes(params.get('version')) ? params.get('version') : DEFAULT_VIEW.version,
+        hook: params.get('hook') || DEFAULT_VIEW.hook,
+        granularity: fromSlug(params.get('granularity'), GRANULARITIES, DEFAULT_VIEW.granularity),
+        from: DATE_PATTERN.test(from) ? from : '',
+        to: DATE_PATTERN.test(to) ? to : '',
+        invert: params.get('invert') === '1',
+    };
+};
+
+export const viewUrl = (view) => {
+    const params = new URLSearchParams();
+    if (view.pool !== DEFAULT_VIEW.pool) params.set('pool', view.pool);
+    if (view.tab !== DEFAULT_VIEW.tab) params.set('metric', slug(view.tab));
+    if (view.breakdown !== DEFAULT_VIEW.breakdown) params.set('view', slug(view.breakdown));
+    if (view.granularity !== DEFAULT_VIEW.granularity) params.set('granularity', slug(view.granularity));
+    if (view.from || view.to) params.set('range', `${view.from}..${view.to}`);
+    if (view.version !== DEFAULT_VIEW.version) params.set('version', view.version);
+    if (view.hook !== DEFAULT_VIEW.hook) params.set('hook', view.hook);
+    if (view.invert) params.set('invert', '1');
+
+    const path = view.chain === DEFAULT_VIEW.chain ? '/' : `/chain/${encodeURIComponent(view.chain)}`;
+    const query = params.toString();
+    return query ? `${path}?${query}` : path;
+};
+
+export const currentUrl = () => `${window.location.pathname}${window.location.search}`;